@@ -0,0 +1,112 @@
+/**
+ * Alignment Report Module
+ * Summarizes how each transcript segment got its timestamps so reviewers
+ * know which ones to check by ear
+ */
+
+import { SRTParser } from './vtt-parser.js';
+
+class AlignmentReporter {
+    constructor() {
+        this.srtParser = new SRTParser();
+    }
+
+    /**
+     * Build a structured report from aligned segments
+     * A segment is flagged as low confidence when it was interpolated or
+     * timed from a transcription service's turn time, or its words match the
+     * VTT by less than half (close spellings and sound-alikes count in part,
+     * see TextAligner.wordSimilarity). Pinned segments and segments timed
+     * from transcript timecodes are only flagged when a timecode disagrees
+     * with the VTT. Coverage is the share of segments held by a hard anchor:
+     * matched to the VTT, pinned, or timed from a transcript timecode.
+     * @param {Array} segments - Segments returned by TextAligner.align
+     * @param {Array} srtSubtitles - Parsed subtitles the segments were aligned to
+     * @param {Object} options - Report options
+     * @param {number} options.lowConfidence - Threshold below which anchors are flagged
+     * @returns {Object} - {summary, segments}
+     */
+    build(segments, srtSubtitles, options = {}) {
+        const { lowConfidence = 0.5 } = options;
+
+        const rows = segments.map((segment, index) => {
+            const hasCues = segment.cueStart !== null && segment.cueStart !== undefined;
+            const confidence = segment.confidence || 0;
+
+            return {
+                segment: index + 1,
+                speaker: segment.speaker,
+                startTime: segment.startTime,
+                endTime: segment.endTime,
+                startMs: segment.startMs,
+                endMs: segment.endMs,
+                source: segment.source || 'interpolated',
+                confidence: Math.round(confidence * 100) / 100,
+                cueStart: hasCues ? srtSubtitles[segment.cueStart].index : null,
+                cueEnd: hasCues ? srtSubtitles[segment.cueEnd].index : null,
+                lowConfidence: Boolean(segment.warning) ||
+                    (segment.source !== 'pinned' && segment.source !== 'timecode' &&
+                    (segment.source !== 'anchor' || confidence < lowConfidence)),
+                warning: segment.warning || '',
+                text: segment.text
+            };
+        });
+
+        const anchored = rows.filter(row => row.source === 'anchor');
+        const pinned = rows.filter(row => row.source === 'pinned');
+        const timecode = rows.filter(row => row.source === 'timecode');
+        const hint = rows.filter(row => row.source === 'hint');
+        const covered = anchored.length + pinned.length + timecode.length;
+        const meanConfidence = anchored.length > 0
+            ? anchored.reduce((sum, row) => sum + row.confidence, 0) / anchored.length
+            : 0;
+
+        return {
+            summary: {
+                segments: rows.length,
+                anchored: anchored.length,
+                pinned: pinned.length,
+                timecode: timecode.length,
+                hint: hint.length,
+                interpolated: rows.length - covered - hint.length,
+                warnings: rows.filter(row => row.warning).length,
+                lowConfidence: rows.filter(row => row.lowConfidence).length,
+                meanAnchorConfidence: Math.round(meanConfidence * 100) / 100,
+                coverage: rows.length > 0 ? Math.round(covered / rows.length * 100) / 100 : 0
+            },
+            segments: rows
+        };
+    }
+
+    /**
+     * Serialize a report as CSV (one row per segment)
+     * @param {Object} report - Report from build()
+     * @returns {string} - CSV text
+     */
+    toCSV(report) {
+        const columns = ['segment', 'speaker', 'startTime', 'endTime', 'source', 'confidence', 'cueStart', 'cueEnd', 'lowConfidence', 'warning', 'text'];
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [columns.join(',')];
+        for (const row of report.segments) {
+            lines.push(columns.map(column => escape(row[column])).join(','));
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Serialize a report as JSON
+     * @param {Object} report - Report from build()
+     * @returns {string} - JSON text
+     */
+    toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+}
+
+// Export for use in other modules
+export { AlignmentReporter };
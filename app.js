@@ -3,17 +3,44 @@
  * Handles UI interactions and coordinates the transcript synchronization process
  */
 
+import { synchronize, buildOutput, TRANSCRIPT_TYPES, TIMING_TYPES, SRTParser, PDFParser, TextAligner, AlignmentReporter } from './synchronizer.js';
+import { ReviewEditor } from './review-editor.js';
+import { BatchList } from './batch-list.js';
+import { ZipWriter } from './zip-writer.js';
+
+class CancelledError extends Error {}
+
+const SPEAKER_MAPPINGS_KEY = 'transcriptSynchronizer.speakerMappings';
+const PINS_KEY = 'transcriptSynchronizer.pins';
+
+const TRANSCRIPT_FORMAT_NAMES = { rev: 'Rev', otter: 'Otter', trint: 'Trint', descript: 'Descript' };
+
 class TranscriptSynchronizer {
     constructor() {
         this.pdfFile = null;
+        this.transcriptText = null;
+        this.speakerLabels = [];
+        this.speakerMap = {};
         this.srtFile = null;
         this.resultSRT = null;
+        this.subtitles = null;
+        this.automaticSegments = null;
+        this.pins = [];
+        this.alignedSegments = null;
+        this.processedSegments = null;
+        this.report = null;
+        this.reviewLayout = null;
+        this.worker = null;
+        this.batchResults = [];
+        this.batchCancelled = false;
+        this.batchIndex = -1;
         this.stats = {};
 
-        // Initialize parsers
-        this.pdfParser = new PDFParser();
+        // Initialize parsers (alignment itself runs through synchronize)
+        this.pdfParser = new PDFParser({ logger: console });
         this.srtParser = new SRTParser();
         this.textAligner = new TextAligner();
+        this.reporter = new AlignmentReporter();
 
         this.initializeUI();
     }
@@ -27,32 +54,141 @@ class TranscriptSynchronizer {
         this.pdfFileName = document.getElementById('pdfFileName');
         this.srtFileName = document.getElementById('srtFileName');
         this.processBtn = document.getElementById('processBtn');
-        this.progressBar = document.getElementById('progressBar');
+        this.progressSection = document.getElementById('progressSection');
+        this.progressFill = document.getElementById('progressFill');
+        this.progressText = document.getElementById('progressText');
+        this.cancelBtn = document.getElementById('cancelBtn');
         this.resultSection = document.getElementById('resultSection');
         this.errorSection = document.getElementById('errorSection');
         this.errorText = document.getElementById('errorText');
         this.downloadBtn = document.getElementById('downloadBtn');
+        this.inlineTimestampsSelect = document.getElementById('inlineTimestamps');
+        this.outputFormatSelect = document.getElementById('outputFormat');
+        this.cueLayoutSelect = document.getElementById('cueLayout');
+        this.turnOptions = document.getElementById('turnOptions');
+        this.maxTurnMinutesInput = document.getElementById('maxTurnMinutes');
+        this.captionOptions = document.getElementById('captionOptions');
+        this.maxCharsPerLineInput = document.getElementById('maxCharsPerLine');
+        this.minCueSecondsInput = document.getElementById('minCueSeconds');
+        this.maxCueSecondsInput = document.getElementById('maxCueSeconds');
+        this.cueOptionInputs = [this.maxTurnMinutesInput, this.maxCharsPerLineInput, this.minCueSecondsInput, this.maxCueSecondsInput];
         this.statsDiv = document.getElementById('stats');
+        this.reportBody = document.getElementById('reportBody');
+        this.reportCsvBtn = document.getElementById('reportCsvBtn');
+        this.reportJsonBtn = document.getElementById('reportJsonBtn');
+        this.clearPinsBtn = document.getElementById('clearPinsBtn');
+        this.transcriptFormatSelect = document.getElementById('transcriptFormat');
+        this.labelStyleSelect = document.getElementById('labelStyle');
+        this.customPatternInput = document.getElementById('customPattern');
+        this.speakerRosterInput = document.getElementById('speakerRoster');
+        this.timecodeToleranceInput = document.getElementById('timecodeTolerance');
+        this.speakerPreview = document.getElementById('speakerPreview');
+        this.speakerMapping = document.getElementById('speakerMapping');
+        this.savedMappingsSelect = document.getElementById('savedMappings');
+        this.mappingNameInput = document.getElementById('mappingName');
+        this.saveMappingBtn = document.getElementById('saveMappingBtn');
+        this.reviewSection = document.getElementById('reviewSection');
+        this.resetReviewBtn = document.getElementById('resetReviewBtn');
+        this.batchSection = document.getElementById('batchSection');
+        this.batchFormatSelect = document.getElementById('batchFormat');
+        this.zipBtn = document.getElementById('zipBtn');
+        this.clearBatchBtn = document.getElementById('clearBatchBtn');
+        this.batchList = new BatchList({
+            body: document.getElementById('batchBody'),
+            unpaired: document.getElementById('batchUnpaired')
+        });
+        this.reviewEditor = new ReviewEditor({
+            list: document.getElementById('reviewList'),
+            player: document.getElementById('mediaPlayer'),
+            mediaInput: document.getElementById('mediaFile')
+        });
 
         // Set up event listeners
         this.setupFileUpload(
             this.pdfUploadBox,
             this.pdfFileInput,
             this.pdfFileName,
-            ['pdf', 'txt'],
-            file => this.pdfFile = file
+            TRANSCRIPT_TYPES,
+            file => {
+                this.pdfFile = file;
+                this.transcriptText = null;
+                this.speakerLabels = [];
+                this.updateSpeakerPreview();
+            }
         );
 
         this.setupFileUpload(
             this.srtUploadBox,
             this.srtFileInput,
             this.srtFileName,
-            'vtt',
+            TIMING_TYPES,
             file => this.srtFile = file
         );
 
+        this.transcriptFormatSelect.addEventListener('change', () => this.updateSpeakerPreview());
+        this.labelStyleSelect.addEventListener('change', () => {
+            this.customPatternInput.classList.toggle('hidden', this.labelStyleSelect.value !== 'custom');
+            this.updateSpeakerPreview();
+        });
+        this.customPatternInput.addEventListener('change', () => this.updateSpeakerPreview());
+        this.speakerRosterInput.addEventListener('change', () => this.updateSpeakerPreview());
+        this.savedMappingsSelect.addEventListener('change', () => this.loadSpeakerMap(this.savedMappingsSelect.value));
+        this.saveMappingBtn.addEventListener('click', () => this.saveSpeakerMap());
+        this.refreshSavedMappings();
+
         this.processBtn.addEventListener('click', () => this.process());
+        this.cancelBtn.addEventListener('click', () => {
+            // A batch stops after the interview in progress is cancelled
+            this.batchCancelled = true;
+            this.cancel();
+        });
+        this.zipBtn.addEventListener('click', () => this.downloadZip());
+        this.clearBatchBtn.addEventListener('click', () => this.clearBatch());
         this.downloadBtn.addEventListener('click', () => this.download());
+        this.reportCsvBtn.addEventListener('click', () => this.downloadReport('csv'));
+        this.reportJsonBtn.addEventListener('click', () => this.downloadReport('json'));
+        this.reportBody.addEventListener('change', (e) => {
+            if (e.target.dataset.pin === undefined) return;
+
+            if (this.confirmDiscardReview()) {
+                this.setPin(Number(e.target.dataset.pin), e.target.value);
+            } else {
+                e.target.value = e.target.defaultValue;
+            }
+        });
+        this.clearPinsBtn.addEventListener('click', () => {
+            if (!this.confirmDiscardReview()) return;
+            this.pins = [];
+            this.savePins();
+            this.updateResults();
+        });
+        this.cueLayoutSelect.addEventListener('change', () => {
+            if (!this.confirmDiscardReview()) {
+                this.cueLayoutSelect.value = this.reviewLayout;
+                return;
+            }
+            this.turnOptions.classList.toggle('hidden', this.cueLayoutSelect.value !== 'turns');
+            this.captionOptions.classList.toggle('hidden', this.cueLayoutSelect.value !== 'captions');
+            this.startReview();
+        });
+        this.cueOptionInputs.forEach(input => {
+            input.addEventListener('change', () => {
+                if (this.confirmDiscardReview()) {
+                    this.startReview();
+                } else {
+                    input.value = input.dataset.applied;
+                }
+            });
+        });
+        this.resetReviewBtn.addEventListener('click', () => {
+            if (confirm('Discard all review edits?')) this.startReview();
+        });
+        this.outputFormatSelect.addEventListener('change', () => {
+            // SRT has no inline timestamps
+            const isSRT = this.outputFormatSelect.value === 'srt';
+            this.inlineTimestampsSelect.disabled = isSRT;
+            this.downloadBtn.textContent = `Download ${isSRT ? 'SRT' : 'VTT'} File`;
+        });
     }
 
     setupFileUpload(uploadBox, fileInput, fileNameDisplay, fileType, callback) {
@@ -61,10 +197,8 @@ class TranscriptSynchronizer {
 
         // File input change
         fileInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                this.handleFileSelected(file, uploadBox, fileNameDisplay, fileType, callback);
-            }
+            this.handleFilesSelected([...e.target.files], uploadBox, fileNameDisplay, fileType, callback);
+            fileInput.value = '';
         });
 
         // Drag and drop
@@ -81,13 +215,79 @@ class TranscriptSynchronizer {
             e.preventDefault();
             uploadBox.style.borderColor = '#ddd';
 
-            const file = e.dataTransfer.files[0];
-            if (file) {
-                this.handleFileSelected(file, uploadBox, fileNameDisplay, fileType, callback);
-            }
+            this.handleFilesSelected([...e.dataTransfer.files], uploadBox, fileNameDisplay, fileType, callback);
         });
     }
 
+    /**
+     * Take one file for a single interview, or several for a batch
+     * Once a batch has started, every further file joins it.
+     * @param {Array} files - Selected or dropped files
+     * @param {HTMLElement} uploadBox - Upload box the files were given to
+     * @param {HTMLElement} fileNameDisplay - Shows the chosen file name
+     * @param {Array} fileType - Allowed extensions for a single file
+     * @param {Function} callback - Receives a single file
+     */
+    handleFilesSelected(files, uploadBox, fileNameDisplay, fileType, callback) {
+        if (files.length === 0) return;
+
+        if (files.length > 1 || !this.batchList.isEmpty()) {
+            this.addBatchFiles(files);
+        } else {
+            this.handleFileSelected(files[0], uploadBox, fileNameDisplay, fileType, callback);
+        }
+    }
+
+    /**
+     * Switch to batch mode and add files to the batch, bringing along any
+     * single transcript or timing file chosen before
+     * @param {Array} files - Transcripts and timing files in any mix
+     */
+    addBatchFiles(files) {
+        const earlier = [this.pdfFile, this.srtFile].filter(Boolean);
+        this.pdfFile = null;
+        this.srtFile = null;
+        this.transcriptText = null;
+        this.speakerLabels = [];
+
+        const rejected = this.batchList.addFiles([...earlier, ...files]);
+        const pairs = this.batchList.getPairs();
+
+        this.pdfFileName.textContent = `${this.batchList.transcripts.length} transcripts`;
+        this.srtFileName.textContent = `${this.batchList.timings.length} timing files`;
+        this.pdfUploadBox.classList.add('active');
+        this.srtUploadBox.classList.add('active');
+        this.batchSection.classList.remove('hidden');
+        this.processBtn.disabled = !pairs.some(pair => pair.timing);
+        this.zipBtn.disabled = true;
+        this.batchResults = [];
+
+        this.hideResult();
+        this.hideError();
+        this.updateSpeakerPreview();
+
+        if (rejected.length > 0) {
+            this.showError(`Not a transcript or timing file: ${rejected.join(', ')}`);
+        }
+    }
+
+    /**
+     * Leave batch mode
+     */
+    clearBatch() {
+        this.batchList.clear();
+        this.batchResults = [];
+        this.batchSection.classList.add('hidden');
+        this.speakerPreview.classList.add('hidden');
+        this.speakerMapping.classList.add('hidden');
+        this.pdfFileName.textContent = '';
+        this.srtFileName.textContent = '';
+        this.pdfUploadBox.classList.remove('active');
+        this.srtUploadBox.classList.remove('active');
+        this.processBtn.disabled = true;
+        this.hideError();
+    }
+
     handleFileSelected(file, uploadBox, fileNameDisplay, fileType, callback) {
         const extension = file.name.split('.').pop().toLowerCase();
 
@@ -115,92 +315,681 @@ class TranscriptSynchronizer {
     }
 
     async process() {
+        if (!this.batchList.isEmpty()) {
+            return this.processBatch();
+        }
+
         try {
             console.log('🔴 PROCESSING STARTED - NEW CODE LOADED 🔴');
             this.showProgress();
             this.hideError();
             this.hideResult();
 
-            // Step 1: Extract text from transcript file
+            // Step 1: Read the transcript file (the speaker preview may already have)
             const fileType = this.pdfFile.name.split('.').pop().toUpperCase();
             console.log(`🔴🔴🔴 NEW CODE LOADED V3 🔴🔴🔴 Extracting text from ${fileType}...`);
-            const pdfResult = await this.pdfParser.extractText(this.pdfFile);
+            if (!this.transcriptText) {
+                try {
+                    ({ fullText: this.transcriptText, speakerLabels: this.speakerLabels } = await this.pdfParser.readText(this.pdfFile));
+                } catch (error) {
+                    throw new Error(`Transcript parsing failed: ${error.message}`);
+                }
+            }
+
+            // Steps 2-5: Parse, align and generate through the library API
+            this.pins = this.readSavedPins()[this.getBaseName()] || [];
+            const result = await this.runSynchronize({
+                transcriptText: this.transcriptText,
+                timedText: await this.srtFile.text(),
+                format: this.getOutputOptions().format,
+                options: this.getSyncOptions()
+            });
+
+            result.diagnostics.log.forEach(entry => console[entry.level](entry.message));
+
+            this.subtitles = result.diagnostics.subtitles;
+            this.automaticSegments = result.diagnostics.alignedSegments;
+            this.stats = {
+                originalSubtitles: result.diagnostics.subtitles.length,
+                pdfSegments: result.diagnostics.transcriptSegments.length
+            };
+
+            this.showOutput(result);
+            this.hideProgress();
 
-            if (!pdfResult.success) {
-                throw new Error(`Transcript parsing failed: ${pdfResult.error}`);
+        } catch (error) {
+            this.hideProgress();
+            if (error instanceof CancelledError) {
+                console.log('Processing cancelled');
+                return;
             }
+            console.error('Processing error:', error);
+            this.showError(error.message);
+        }
+    }
 
-            console.log(`Found ${pdfResult.segments.length} speaker segments in transcript`);
+    /**
+     * Run every paired interview in turn, showing each one's status
+     * Each interview uses the pins saved for its timing file. Results are
+     * kept for the ZIP download; a failed interview does not stop the batch.
+     */
+    async processBatch() {
+        const pairs = this.batchList.getPairs();
+        const format = this.batchFormatSelect.value;
 
-            // Step 2: Parse VTT file
-            console.log('Parsing VTT file...');
-            const srtResult = await this.srtParser.parse(this.srtFile);
+        this.batchResults = [];
+        this.batchCancelled = false;
+        this.zipBtn.disabled = true;
+        this.batchList.setLocked(true);
+        this.batchList.resetStatus();
+        this.showProgress();
+        this.hideError();
 
-            if (!srtResult.success) {
-                throw new Error(`VTT parsing failed: ${srtResult.error}`);
+        for (const [index, pair] of pairs.entries()) {
+            if (!pair.timing) {
+                this.batchList.setStatus(index, 'skipped', 'No timing file');
+                continue;
+            }
+            if (this.batchCancelled) {
+                this.batchList.setStatus(index, 'cancelled');
+                continue;
             }
 
-            console.log(`Found ${srtResult.subtitles.length} subtitles in VTT`);
+            this.batchIndex = index;
+            this.updateProgress({ phase: 'Parsing transcript' });
 
-            // Step 3: Align texts and transfer timestamps
-            console.log('Aligning texts and transferring timestamps...');
-            const alignedSegments = this.textAligner.align(
-                pdfResult.segments,
-                srtResult.subtitles
-            );
+            try {
+                let transcript;
+                try {
+                    transcript = await this.pdfParser.readText(pair.transcript);
+                } catch (error) {
+                    throw new Error(`Transcript parsing failed: ${error.message}`);
+                }
 
-            if (alignedSegments.length === 0) {
-                throw new Error('Could not align the texts. Please ensure the transcript and VTT files are from the same interview.');
+                const baseName = pair.timing.name.replace(/\.[^.]+$/, '');
+                const result = await this.runSynchronize({
+                    transcriptText: transcript.fullText,
+                    timedText: await pair.timing.text(),
+                    format,
+                    options: {
+                        ...this.getSyncOptions(),
+                        speakerLabels: transcript.speakerLabels,
+                        pins: this.readSavedPins()[baseName] || []
+                    }
+                });
+
+                const summary = result.diagnostics.report.summary;
+                this.batchResults.push({ baseName, format, output: result.output, report: result.diagnostics.report });
+                this.batchList.setStatus(index, 'done',
+                    `${summary.anchored} of ${summary.segments} segments anchored, ${summary.lowConfidence} to check by ear`);
+            } catch (error) {
+                if (error instanceof CancelledError) {
+                    this.batchList.setStatus(index, 'cancelled');
+                    continue;
+                }
+                console.error(`${pair.name}:`, error);
+                this.batchList.setStatus(index, 'failed', error.message);
             }
+        }
 
-            console.log(`Aligned ${alignedSegments.length} segments`);
+        this.batchIndex = -1;
+        this.batchList.setLocked(false);
+        this.hideProgress();
+        this.zipBtn.disabled = this.batchResults.length === 0;
+    }
 
-            // Step 4: Process segments (merge by speaker, split long ones)
-            console.log('Processing segments...');
-            const processedSegments = this.textAligner.processSegments(alignedSegments);
+    /**
+     * Download every batch result and report as one ZIP, built in the browser
+     */
+    downloadZip() {
+        if (this.batchResults.length === 0) {
+            this.showError('No results to download');
+            return;
+        }
 
-            console.log(`Final segments: ${processedSegments.length}`);
+        const zip = new ZipWriter();
+        for (const result of this.batchResults) {
+            zip.addFile(`${result.baseName}_corrected.${result.format}`, result.output);
+            zip.addFile(`${result.baseName}_alignment.csv`, this.reporter.toCSV(result.report));
+        }
 
-            // Step 5: Generate VTT
-            console.log('Generating VTT file...');
-            this.resultSRT = this.srtParser.generate(processedSegments);
+        this.saveFile(zip.toBlob(), 'transcript-synchronizer-batch.zip', 'application/zip');
+    }
 
-            // Store stats
-            this.stats = {
-                originalSubtitles: srtResult.subtitles.length,
-                pdfSegments: pdfResult.segments.length,
-                alignedSegments: alignedSegments.length,
-                finalSegments: processedSegments.length,
-                duration: this.formatDuration(
-                    processedSegments[processedSegments.length - 1].endMs
-                )
-            };
+    /**
+     * Run synchronize in a Web Worker, showing its progress
+     * Falls back to the main thread when module workers are unavailable.
+     * @param {Object} input - Input for synchronize (without onProgress)
+     * @returns {Promise<Object>} - The synchronize result
+     */
+    runSynchronize(input) {
+        let worker;
+        try {
+            worker = new Worker(new URL('./sync-worker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            return this.synchronizeOnMainThread(input, error);
+        }
 
-            // Show result
-            this.hideProgress();
-            this.showResult();
+        return new Promise((resolve, reject) => {
+            let started = false;
+            this.worker = worker;
+            this.rejectWorker = reject;
+
+            worker.addEventListener('message', (e) => {
+                started = true;
+                const message = e.data;
+
+                if (message.type === 'progress') {
+                    this.updateProgress(message.progress);
+                } else if (message.type === 'result') {
+                    resolve(message.result);
+                } else {
+                    reject(new Error(message.message));
+                }
+            });
+
+            worker.addEventListener('error', (e) => {
+                e.preventDefault();
+                if (!started) {
+                    // The worker script itself failed to load
+                    this.synchronizeOnMainThread(input, e).then(resolve, reject);
+                } else {
+                    reject(new Error(e.message || 'Alignment failed in the background worker'));
+                }
+            });
+
+            worker.postMessage(input);
+        }).finally(() => {
+            worker.terminate();
+            this.worker = null;
+        });
+    }
+
+    /**
+     * Run synchronize on the page itself (no cancellation while it runs)
+     * @param {Object} input - Input for synchronize
+     * @param {*} reason - Why the worker could not be used
+     * @returns {Promise<Object>} - The synchronize result
+     */
+    async synchronizeOnMainThread(input, reason) {
+        console.warn('Web Worker unavailable, aligning on the main thread:', reason && reason.message);
+        this.cancelBtn.disabled = true;
+        this.updateProgress({ phase: 'Aligning' });
+
+        // Let the progress message paint before the page is busy
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return synchronize({ ...input, options: { ...input.options, onProgress: () => {} } });
+    }
+
+    /**
+     * Stop a running alignment
+     */
+    cancel() {
+        if (!this.worker) return;
+
+        this.worker.terminate();
+        this.worker = null;
+        this.rejectWorker(new CancelledError('Processing cancelled'));
+    }
+
+    /**
+     * Show the worker's progress
+     * @param {Object} progress - {phase, done, total, anchored}
+     */
+    updateProgress(progress) {
+        const { phase, done, total, anchored } = progress;
+        const percent = total ? Math.round(done / total * 100) : null;
+        const steps = ['Parsing transcript', 'Parsing timing file', 'Finding transcript start', 'Aligning words', 'Finding anchors', 'Interpolating timestamps', 'Building output'];
+
+        // Spread the bar over the phases, filling within a phase when it reports counts
+        const step = Math.max(0, steps.indexOf(phase));
+        const width = (step + (percent === null ? 0 : percent / 100)) / steps.length * 100;
+        this.progressFill.style.width = `${Math.round(width)}%`;
+
+        let text = phase;
+        if (percent !== null) text += ` ${percent}%`;
+        if (anchored !== undefined) text += ` · ${anchored} segments anchored`;
+        this.progressText.textContent = text;
 
+        if (this.batchIndex >= 0) {
+            const pairs = this.batchList.getPairs();
+            this.progressText.textContent = `${pairs[this.batchIndex].name} (${this.batchIndex + 1} of ${pairs.length}): ${text}`;
+            this.batchList.setStatus(this.batchIndex, 'running', text);
+        }
+    }
+
+    /**
+     * Rebuild the output after pins change, without aligning again
+     */
+    updateResults() {
+        this.showOutput(this.buildCurrentOutput());
+    }
+
+    /**
+     * Run the export steps of the library on the current alignment
+     * @returns {Object} - Result of buildOutput
+     */
+    buildCurrentOutput() {
+        return buildOutput({
+            alignedSegments: this.automaticSegments,
+            subtitles: this.subtitles,
+            format: this.getOutputOptions().format,
+            options: this.getSyncOptions()
+        });
+    }
+
+    /**
+     * Show a synchronize/buildOutput result: report, review, stats
+     * @param {Object} result - {segments, outputSegments, output, report or diagnostics.report}
+     */
+    showOutput(result) {
+        const alignedSegments = result.segments;
+        const processedSegments = result.outputSegments;
+
+        console.log(`Final segments: ${processedSegments.length}`);
+        this.alignedSegments = alignedSegments;
+        this.processedSegments = processedSegments;
+        this.report = result.report || result.diagnostics.report;
+        this.startReview();
+        this.resultSRT = this.generateOutput();
+
+        this.stats = {
+            ...this.stats,
+            alignedSegments: alignedSegments.length,
+            anchoredSegments: this.report.summary.anchored,
+            pinnedSegments: this.report.summary.pinned,
+            timecodeSegments: this.report.summary.timecode,
+            hintSegments: this.report.summary.hint,
+            timecodeWarnings: this.report.summary.warnings,
+            lowConfidenceSegments: this.report.summary.lowConfidence,
+            finalSegments: processedSegments.length,
+            duration: this.formatDuration(
+                processedSegments[processedSegments.length - 1].endMs
+            )
+        };
+
+        this.showResult();
+    }
+
+    /**
+     * Pin a segment's start to a time typed in the report, or unpin it
+     * @param {number} index - Segment index in the report
+     * @param {string} value - Clock time, or empty to remove the pin
+     */
+    setPin(index, value) {
+        const pins = this.pins.filter(pin => this.textAligner.findPinnedSegment(this.automaticSegments, pin) !== index);
+
+        if (value.trim()) {
+            const startMs = this.srtParser.clockTimeToMs(value);
+            if (Number.isNaN(startMs)) {
+                this.showError(`"${value}" is not a time. Use HH:MM:SS or MM:SS.`);
+                return;
+            }
+
+            const durationMs = this.subtitles[this.subtitles.length - 1].endMs;
+            if (startMs > durationMs) {
+                this.showError(`${value} is after the end of the timing file (${this.srtParser.msToTime(durationMs)}).`);
+                return;
+            }
+            pins.push(this.textAligner.createPin(this.automaticSegments, index, startMs));
+        }
+
+        this.hideError();
+        this.pins = pins;
+        this.savePins();
+        this.updateResults();
+    }
+
+    readSavedPins() {
+        try {
+            return JSON.parse(localStorage.getItem(PINS_KEY)) || {};
         } catch (error) {
-            console.error('Processing error:', error);
-            this.hideProgress();
-            this.showError(error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Save the pins under the timing file name, so re-running after
+     * transcript edits keeps them
+     */
+    savePins() {
+        const saved = this.readSavedPins();
+
+        if (this.pins.length > 0) {
+            saved[this.getBaseName()] = this.pins;
+        } else {
+            delete saved[this.getBaseName()];
+        }
+
+        try {
+            localStorage.setItem(PINS_KEY, JSON.stringify(saved));
+        } catch (error) {
+            this.showError(`Could not save pins: ${error.message}`);
+        }
+    }
+
+    /**
+     * Collect every setting the library needs from the page
+     * @returns {Object} - Options for synchronize and buildOutput
+     */
+    getSyncOptions() {
+        const { layout, maxTurnMs, inlineTimestamps, captions } = this.getOutputOptions();
+
+        return {
+            ...this.getSpeakerOptions(),
+            timecodeToleranceMs: Math.round((Number(this.timecodeToleranceInput.value) || 0) * 1000),
+            pins: this.pins,
+            speakerMap: this.getSpeakerMap(),
+            layout,
+            maxTurnMs,
+            inlineTimestamps,
+            captions
+        };
+    }
+
+    /**
+     * Read the speaker label settings
+     * @returns {Object} - Options for PDFParser.parseSpeakerSegments
+     */
+    getSpeakerOptions() {
+        return {
+            transcriptFormat: this.transcriptFormatSelect.value,
+            labelStyle: this.labelStyleSelect.value,
+            customPattern: this.customPatternInput.value,
+            roster: this.speakerRosterInput.value.split('\n').map(name => name.trim()).filter(Boolean),
+            speakerLabels: this.speakerLabels
+        };
+    }
+
+    /**
+     * Show which speakers the current label settings detect in the transcript
+     */
+    async updateSpeakerPreview() {
+        if (!this.batchList.isEmpty()) {
+            // No single transcript to preview; saved speaker names still apply
+            this.speakerPreview.classList.remove('hidden', 'warning');
+            this.speakerMapping.classList.remove('hidden');
+            this.speakerPreview.innerHTML = '<strong>Batch mode.</strong> Speaker names from the chosen collection are applied to every interview.';
+            return;
+        }
+
+        if (!this.pdfFile) return;
+
+        try {
+            // Read the file once; settings changes only re-run detection
+            if (!this.transcriptText) {
+                ({ fullText: this.transcriptText, speakerLabels: this.speakerLabels } = await this.pdfParser.readText(this.pdfFile));
+            }
+
+            const options = this.getSpeakerOptions();
+            const segments = this.pdfParser.parseSpeakerSegments(this.transcriptText, options);
+            const speakers = this.pdfParser.summarizeSpeakers(segments);
+            const format = options.transcriptFormat === 'auto'
+                ? this.pdfParser.detectFormat(this.transcriptText.normalize('NFC'), options)
+                : options.transcriptFormat;
+            const source = format === 'labels' ? '' : ` in the ${TRANSCRIPT_FORMAT_NAMES[format]} export`;
+
+            this.speakerPreview.classList.remove('hidden');
+            this.speakerPreview.classList.toggle('warning', speakers.length === 0);
+            this.speakerMapping.classList.toggle('hidden', speakers.length === 0);
+
+            if (speakers.length === 0) {
+                this.speakerPreview.innerHTML = '<strong>No speaker labels detected.</strong> Try another transcript format or label style, or list the speakers.';
+                return;
+            }
+
+            // One row per detected label; "Export as" renames or merges speakers
+            this.speakerPreview.innerHTML = `
+                <strong>Detected ${speakers.length} speakers${source}.</strong>
+                Rename them for export; give two labels the same name to merge them.
+                <table class="speaker-table">
+                    <thead><tr><th>Label in transcript</th><th>Turns</th><th>Export as</th></tr></thead>
+                    <tbody>${speakers.map(s => `
+                        <tr>
+                            <td>${this.escapeHTML(s.speaker)}</td>
+                            <td>${s.turns}</td>
+                            <td><input type="text" list="speakerRoles" data-speaker="${this.escapeHTML(s.speaker)}"
+                                value="${this.escapeHTML(this.speakerMap[s.speaker] || '')}"
+                                placeholder="${this.escapeHTML(s.speaker)}"></td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>`;
+
+            this.speakerPreview.querySelectorAll('input[data-speaker]').forEach(input => {
+                input.addEventListener('change', () => this.renameSpeaker(input));
+            });
+        } catch (error) {
+            this.speakerPreview.classList.remove('hidden');
+            this.speakerPreview.classList.add('warning');
+            this.speakerMapping.classList.add('hidden');
+            this.speakerPreview.textContent = `Speaker detection failed: ${error.message}`;
+        }
+    }
+
+    /**
+     * Apply a name typed in the speaker table
+     * Shown results are rebuilt so the review and download use the new name;
+     * review edits are only dropped if the user agrees.
+     * @param {HTMLInputElement} input - "Export as" field of one speaker label
+     */
+    renameSpeaker(input) {
+        const label = input.dataset.speaker;
+        const showingResult = !this.resultSection.classList.contains('hidden');
+
+        if (showingResult && !this.confirmDiscardReview()) {
+            input.value = this.speakerMap[label] || '';
+            return;
+        }
+
+        this.speakerMap[label] = input.value.trim();
+        if (showingResult) this.updateResults();
+    }
+
+    /**
+     * Get the speaker renaming chosen by the user
+     * @returns {Object} - Transcript label → exported name (renamed labels only)
+     */
+    getSpeakerMap() {
+        const map = {};
+        for (const [label, name] of Object.entries(this.speakerMap)) {
+            if (name && name !== label) {
+                map[label] = name;
+            }
+        }
+        return map;
+    }
+
+    /**
+     * Read all saved speaker mappings from local storage
+     * @returns {Object} - Collection name → speaker map
+     */
+    readSavedMappings() {
+        try {
+            return JSON.parse(localStorage.getItem(SPEAKER_MAPPINGS_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Fill the saved-collections dropdown
+     */
+    refreshSavedMappings() {
+        const names = Object.keys(this.readSavedMappings()).sort();
+        this.savedMappingsSelect.innerHTML = '<option value="">Choose a saved collection…</option>' +
+            names.map(name => `<option value="${this.escapeHTML(name)}">${this.escapeHTML(name)}</option>`).join('');
+    }
+
+    /**
+     * Save the current speaker names under a collection name, merged with
+     * what was saved before so one mapping can serve many interviews
+     */
+    saveSpeakerMap() {
+        const name = this.mappingNameInput.value.trim() || this.savedMappingsSelect.value;
+        if (!name) {
+            this.showError('Enter a collection name to save the speaker names under');
+            return;
+        }
+
+        const saved = this.readSavedMappings();
+        saved[name] = { ...(saved[name] || {}), ...this.getSpeakerMap() };
+
+        try {
+            localStorage.setItem(SPEAKER_MAPPINGS_KEY, JSON.stringify(saved));
+        } catch (error) {
+            this.showError(`Could not save speaker names: ${error.message}`);
+            return;
+        }
+
+        this.refreshSavedMappings();
+        this.savedMappingsSelect.value = name;
+        this.mappingNameInput.value = '';
+    }
+
+    /**
+     * Apply a saved collection's speaker names to the detected speakers
+     * @param {string} name - Collection name
+     */
+    loadSpeakerMap(name) {
+        if (!name) return;
+
+        const saved = this.readSavedMappings()[name] || {};
+        this.speakerMap = { ...this.speakerMap, ...saved };
+        this.updateSpeakerPreview();
+    }
+
+    /**
+     * Escape text for safe insertion into innerHTML
+     * @param {string} text - Raw text
+     * @returns {string} - Escaped text
+     */
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Read the output options chosen on the result screen
+     * @returns {Object} - Options for SRTParser.generate
+     */
+    getOutputOptions() {
+        return {
+            format: this.outputFormatSelect.value,
+            layout: this.cueLayoutSelect.value,
+            maxTurnMs: Math.round((Number(this.maxTurnMinutesInput.value) || 2) * 60000),
+            inlineTimestamps: this.inlineTimestampsSelect.value,
+            captions: {
+                maxCharsPerLine: Number(this.maxCharsPerLineInput.value) || 42,
+                maxLines: 2,
+                minDurationMs: Math.round((Number(this.minCueSecondsInput.value) || 1) * 1000),
+                maxDurationMs: Math.round((Number(this.maxCueSecondsInput.value) || 7) * 1000)
+            }
+        };
+    }
+
+    /**
+     * Load the current cue layout into the review editor, dropping earlier edits
+     */
+    startReview() {
+        this.reviewLayout = null;
+        this.reviewEditor.load(this.buildOutputSegments());
+        this.reviewLayout = this.getOutputOptions().layout;
+        this.cueOptionInputs.forEach(input => {
+            input.dataset.applied = input.value;
+        });
+    }
+
+    /**
+     * Ask before a settings change rebuilds the cues under review
+     * @returns {boolean} - True if there are no review edits or the user agrees to drop them
+     */
+    confirmDiscardReview() {
+        return !this.reviewEditor.hasEdits() || confirm('Discard all review edits?');
+    }
+
+    /**
+     * Build the segments to export for the chosen cue layout
+     * Reviewed segments are used when they belong to the chosen layout.
+     * @returns {Array} - Segments ready for SRTParser.generate
+     */
+    buildOutputSegments() {
+        const options = this.getOutputOptions();
+
+        if (this.reviewLayout === options.layout) {
+            return this.reviewEditor.getSegments();
         }
+
+        // Speaker names are applied at export time so renames need no re-alignment
+        return this.buildCurrentOutput().outputSegments;
+    }
+
+    /**
+     * Serialize the output segments in the chosen format
+     * @returns {string} - VTT or SRT file content
+     */
+    generateOutput() {
+        const options = this.getOutputOptions();
+        const segments = this.buildOutputSegments();
+
+        if (options.format === 'srt') {
+            return this.srtParser.generateSRT(segments);
+        }
+
+        return this.srtParser.generate(segments, options);
     }
 
     download() {
-        if (!this.resultSRT) {
+        if (!this.processedSegments) {
             this.showError('No result to download');
             return;
         }
 
-        const blob = new Blob([this.resultSRT], { type: 'text/plain' });
+        // Regenerate so the current output options are applied
+        this.resultSRT = this.generateOutput();
+        const { format } = this.getOutputOptions();
+
+        this.saveFile(this.resultSRT, `${this.getBaseName()}_corrected.${format}`, 'text/plain');
+    }
+
+    /**
+     * Download the alignment report
+     * @param {string} format - 'csv' or 'json'
+     */
+    downloadReport(format) {
+        if (!this.report) {
+            this.showError('No report to download');
+            return;
+        }
+
+        const content = format === 'csv' ? this.reporter.toCSV(this.report) : this.reporter.toJSON(this.report);
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+        this.saveFile(content, `${this.getBaseName()}_alignment.${format}`, type);
+    }
+
+    /**
+     * Generate output filenames based on the original timing file name
+     * @returns {string} - Timing file name without extension
+     */
+    getBaseName() {
+        return this.srtFile.name.replace(/\.[^.]+$/, '');
+    }
+
+    /**
+     * Offer content as a file download
+     * @param {string|Blob} content - File content
+     * @param {string} fileName - Suggested file name
+     * @param {string} type - MIME type
+     */
+    saveFile(content, fileName, type) {
+        const blob = new Blob([content], { type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
 
-        // Generate filename based on original VTT name
-        const originalName = this.srtFile.name.replace('.vtt', '');
         a.href = url;
-        a.download = `${originalName}_corrected.vtt`;
+        a.download = fileName;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -209,11 +998,14 @@ class TranscriptSynchronizer {
 
     showProgress() {
         this.processBtn.disabled = true;
-        this.progressBar.classList.remove('hidden');
+        this.cancelBtn.disabled = false;
+        this.progressFill.style.width = '0%';
+        this.progressText.textContent = 'Processing...';
+        this.progressSection.classList.remove('hidden');
     }
 
     hideProgress() {
-        this.progressBar.classList.add('hidden');
+        this.progressSection.classList.add('hidden');
         this.processBtn.disabled = false;
     }
 
@@ -223,8 +1015,35 @@ class TranscriptSynchronizer {
             <p><strong>Original VTT subtitles:</strong> ${this.stats.originalSubtitles}</p>
             <p><strong>Transcript segments:</strong> ${this.stats.pdfSegments}</p>
             <p><strong>Final segments:</strong> ${this.stats.finalSegments}</p>
+            <p><strong>Matched (anchored) segments:</strong> ${this.stats.anchoredSegments} of ${this.stats.alignedSegments}</p>
+            <p><strong>Pinned segments:</strong> ${this.stats.pinnedSegments}</p>
+            <p><strong>Timed from transcript timecodes:</strong> ${this.stats.timecodeSegments} (${this.stats.timecodeWarnings} disagree with the VTT)</p>
+            <p><strong>Timed from transcription service times:</strong> ${this.stats.hintSegments}</p>
+            <p><strong>Segments to check by ear:</strong> ${this.stats.lowConfidenceSegments}</p>
             <p><strong>Total duration:</strong> ${this.stats.duration}</p>
         `;
+        this.renderReport();
+    }
+
+    /**
+     * Fill the alignment report table, highlighting low-confidence rows
+     */
+    renderReport() {
+        this.reportBody.innerHTML = this.report.segments.map(row => `
+            <tr class="${row.lowConfidence ? 'low-confidence' : ''}">
+                <td>${row.segment}</td>
+                <td>${this.escapeHTML(row.speaker)}</td>
+                <td>${row.startTime}</td>
+                <td>${row.endTime}</td>
+                <td>${row.source}</td>
+                <td>${Math.round(row.confidence * 100)}%</td>
+                <td>${row.cueStart === null ? '—' : `${row.cueStart}–${row.cueEnd}`}</td>
+                <td><input type="text" class="pin-input" data-pin="${row.segment - 1}" value="${row.source === 'pinned' ? row.startTime : ''}" placeholder="HH:MM:SS"></td>
+                <td>
+                    ${this.escapeHTML(row.text.length > 80 ? row.text.slice(0, 80) + '…' : row.text)}
+                    ${row.warning ? `<div class="report-warning">⚠ ${this.escapeHTML(row.warning)}</div>` : ''}
+                </td>
+            </tr>`).join('');
     }
 
     hideResult() {
@@ -0,0 +1,201 @@
+/**
+ * Batch List Module
+ * Pairs many transcripts with their timing files, lets the user fix the
+ * pairing and shows each interview's status while the batch runs
+ */
+
+import { pairFiles, TRANSCRIPT_TYPES, TIMING_TYPES } from './synchronizer.js';
+
+const STATUS_LABELS = {
+    waiting: 'Waiting',
+    running: 'Processing',
+    done: 'Done',
+    failed: 'Failed',
+    skipped: 'Skipped',
+    cancelled: 'Cancelled'
+};
+
+class BatchList {
+    /**
+     * @param {Object} elements - DOM elements
+     * @param {HTMLElement} elements.body - Table body for one row per transcript
+     * @param {HTMLElement} elements.unpaired - Lists timing files no transcript uses
+     */
+    constructor(elements) {
+        this.body = elements.body;
+        this.unpaired = elements.unpaired;
+        this.transcripts = [];
+        this.timings = [];
+        this.rows = [];
+        this.locked = false;
+
+        this.body.addEventListener('change', (e) => {
+            if (e.target.dataset.row === undefined) return;
+
+            const row = this.rows[Number(e.target.dataset.row)];
+            row.timingName = e.target.value || null;
+            row.chosen = true;
+            this.renderUnpaired();
+        });
+    }
+
+    /**
+     * Add transcripts and timing files, pairing new transcripts by file name
+     * Pairings the user picked by hand are kept. A file with the same name
+     * as one already in the list replaces it.
+     * @param {Array} files - File objects
+     * @returns {Array} - Names of files that are neither transcripts nor timing files
+     */
+    addFiles(files) {
+        const rejected = [];
+
+        for (const file of files) {
+            const extension = file.name.split('.').pop().toLowerCase();
+            const list = TRANSCRIPT_TYPES.includes(extension) ? this.transcripts
+                : TIMING_TYPES.includes(extension) ? this.timings
+                    : null;
+
+            if (!list) {
+                rejected.push(file.name);
+                continue;
+            }
+
+            const existing = list.findIndex(known => known.name === file.name);
+            if (existing >= 0) {
+                list[existing] = file;
+            } else {
+                list.push(file);
+            }
+        }
+
+        const { pairs } = pairFiles([...this.transcripts, ...this.timings]);
+        const autoTimings = new Map(pairs.map(pair => [pair.transcript.name, pair.timing.name]));
+
+        this.rows = this.transcripts.map(transcript => {
+            const previous = this.rows.find(row => row.transcript.name === transcript.name);
+            return {
+                transcript,
+                timingName: previous && previous.chosen ? previous.timingName : autoTimings.get(transcript.name) || null,
+                chosen: Boolean(previous && previous.chosen),
+                status: 'waiting',
+                message: ''
+            };
+        });
+
+        this.render();
+        return rejected;
+    }
+
+    /**
+     * Remove every file
+     */
+    clear() {
+        this.transcripts = [];
+        this.timings = [];
+        this.rows = [];
+        this.render();
+    }
+
+    /**
+     * @returns {boolean} - Whether any files have been added
+     */
+    isEmpty() {
+        return this.transcripts.length === 0 && this.timings.length === 0;
+    }
+
+    /**
+     * Get the interviews to process
+     * @returns {Array} - [{name, transcript, timing}]; timing is null for unpaired transcripts
+     */
+    getPairs() {
+        return this.rows.map(row => ({
+            name: row.transcript.name.replace(/\.[^.]+$/, ''),
+            transcript: row.transcript,
+            timing: this.timings.find(file => file.name === row.timingName) || null
+        }));
+    }
+
+    /**
+     * Show an interview's progress or outcome
+     * @param {number} index - Row index
+     * @param {string} status - waiting, running, done, failed, skipped or cancelled
+     * @param {string} message - Detail shown next to the status
+     */
+    setStatus(index, status, message = '') {
+        const row = this.rows[index];
+        row.status = status;
+        row.message = message;
+
+        const cell = this.body.querySelector(`[data-status="${index}"]`);
+        if (cell) cell.innerHTML = this.renderStatus(row);
+    }
+
+    /**
+     * Stop pairing changes while the batch runs
+     * @param {boolean} locked - Whether the pairing can be changed
+     */
+    setLocked(locked) {
+        this.locked = locked;
+        this.body.querySelectorAll('select').forEach(select => {
+            select.disabled = locked;
+        });
+    }
+
+    /**
+     * Reset every row to waiting before a new run
+     */
+    resetStatus() {
+        this.rows.forEach((row, index) => this.setStatus(index, 'waiting'));
+    }
+
+    render() {
+        this.body.innerHTML = this.rows.map((row, index) => `
+            <tr>
+                <td>${this.escapeHTML(row.transcript.name)}</td>
+                <td>
+                    <select data-row="${index}" ${this.locked ? 'disabled' : ''}>
+                        <option value="">None (skip)</option>
+                        ${this.timings.map(file => `
+                            <option value="${this.escapeHTML(file.name)}" ${file.name === row.timingName ? 'selected' : ''}>${this.escapeHTML(file.name)}</option>`).join('')}
+                    </select>
+                </td>
+                <td data-status="${index}">${this.renderStatus(row)}</td>
+            </tr>`).join('');
+
+        this.renderUnpaired();
+    }
+
+    /**
+     * @param {Object} row - Batch row
+     * @returns {string} - HTML for the status cell
+     */
+    renderStatus(row) {
+        const message = row.message ? ` <span class="batch-message">${this.escapeHTML(row.message)}</span>` : '';
+        return `<span class="batch-status batch-status-${row.status}">${STATUS_LABELS[row.status]}</span>${message}`;
+    }
+
+    renderUnpaired() {
+        const used = new Set(this.rows.map(row => row.timingName));
+        const unused = this.timings.filter(file => !used.has(file.name)).map(file => file.name);
+
+        this.unpaired.textContent = unused.length > 0
+            ? `Timing files without a transcript: ${unused.join(', ')}`
+            : '';
+    }
+
+    /**
+     * Escape text for safe insertion into innerHTML
+     * @param {string} text - Raw text
+     * @returns {string} - Escaped text
+     */
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+export { BatchList };
@@ -0,0 +1,361 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface
+ * Runs the same parse → align → process → generate pipeline as the web app
+ * on local files, one interview or a whole directory of matched pairs
+ *
+ * Usage:
+ *   node cli.js <transcript> <timing file> [options]
+ *   node cli.js --batch <directory> [options]
+ *
+ * Exit codes: 0 success, 1 one or more interviews failed, 2 usage error,
+ * 3 all interviews processed but some fell below the coverage threshold
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL, fileURLToPath } from 'url';
+import { synchronize, pairFiles, PDFParser, AlignmentReporter } from './synchronizer.js';
+
+const require = createRequire(import.meta.url);
+const scriptDir = path.dirname(fileURLToPath(import.meta.url));
+
+// Files this tool writes, skipped when a batch directory is scanned again
+const OUTPUT_FILE_PATTERN = /_(?:corrected\.(?:vtt|srt)|alignment\.(?:csv|json))$/i;
+
+const USAGE = `Usage:
+  node cli.js <transcript.txt|docx|pdf> <timing.vtt|srt|json> [options]
+  node cli.js --batch <directory> [options]
+
+In batch mode, transcripts and timing files with the same name (e.g.
+interview-01.txt and interview-01.vtt) are processed as a pair.
+
+Options:
+  -o, --out <dir>          Output directory (default: next to the timing file)
+  --format <vtt|srt>       Output format (default: vtt)
+  --layout <name>          turns, captions or original (default: turns)
+  --max-turn <minutes>     Split turns longer than this (default: 2)
+  --inline <mode>          Inline timestamps for VTT: none, phrase or word (default: none)
+  --transcript-format <f>  auto, labels, rev, otter, trint or descript (default: auto)
+  --label-style <style>    Speaker labels: caps, title, qa or custom (default: caps)
+  --pattern <regex>        Speaker name pattern for --label-style custom
+  --roster <names>         Comma-separated known speaker names
+  --rename <map>           Speaker names, e.g. "Q1=Interviewer,FUCHS=Jane Fuchs"
+  --report <csv|json>      Alignment report format (default: csv)
+  --tolerance <seconds>    Inline timecode tolerance (default: 5)
+  --min-coverage <0-1>     Flag interviews with fewer segments anchored, pinned or
+                           timed by a transcript timecode (default: 0.8)
+  --verbose                Show alignment progress
+  -h, --help               Show this help
+
+PDF transcripts need pdfjs-dist installed locally (npm install pdfjs-dist).`;
+
+/**
+ * Find pdfjs-dist next to the working directory or this script
+ * @returns {Promise<Object>} - The pdfjs library
+ */
+async function loadPdfjs() {
+    const searchPaths = [process.cwd(), scriptDir];
+
+    // pdfjs-dist 4+ ships ES modules only, 3.x ships CommonJS
+    for (const id of ['pdfjs-dist/legacy/build/pdf.mjs', 'pdfjs-dist/legacy/build/pdf.js']) {
+        let resolved;
+        try {
+            resolved = require.resolve(id, { paths: searchPaths });
+        } catch (error) {
+            continue;
+        }
+        return id.endsWith('.mjs') ? import(pathToFileURL(resolved).href) : require(resolved);
+    }
+
+    throw new Error('PDF input needs pdfjs-dist. Install it with "npm install pdfjs-dist" or convert the transcript to TXT or DOCX.');
+}
+
+/**
+ * Read a transcript as plain text, using pdf.js for PDF files
+ * @param {string} filePath - TXT, DOCX or PDF path
+ * @returns {Promise<Object>} - {fullText, speakerLabels} (see PDFParser.readText)
+ */
+async function readTranscript(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension !== '.pdf' && extension !== '.docx') {
+        return { fullText: fs.readFileSync(filePath, 'utf8'), speakerLabels: [] };
+    }
+
+    const pdfParser = new PDFParser({ pdfjsLib: extension === '.pdf' ? await loadPdfjs() : null });
+
+    // PDFParser reads browser File objects; give it the parts it uses
+    const file = {
+        name: path.basename(filePath),
+        arrayBuffer: async () => {
+            const buffer = fs.readFileSync(filePath);
+            return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        }
+    };
+
+    return pdfParser.readText(file);
+}
+
+/**
+ * Parse command-line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - Options; throws on invalid input
+ */
+function parseArgs(argv) {
+    const options = {
+        files: [],
+        batch: null,
+        out: null,
+        format: 'vtt',
+        layout: 'turns',
+        maxTurn: 2,
+        inline: 'none',
+        transcriptFormat: 'auto',
+        labelStyle: 'caps',
+        pattern: '',
+        roster: [],
+        rename: {},
+        report: 'csv',
+        tolerance: 5,
+        minCoverage: 0.8,
+        verbose: false,
+        help: false
+    };
+
+    const choices = {
+        format: ['vtt', 'srt'],
+        layout: ['turns', 'captions', 'original'],
+        inline: ['none', 'phrase', 'word'],
+        transcriptFormat: ['auto', 'labels', 'rev', 'otter', 'trint', 'descript'],
+        labelStyle: ['caps', 'title', 'qa', 'custom'],
+        report: ['csv', 'json']
+    };
+
+    const flags = {
+        '-o': 'out', '--out': 'out', '--batch': 'batch', '--format': 'format', '--layout': 'layout',
+        '--max-turn': 'maxTurn', '--inline': 'inline', '--transcript-format': 'transcriptFormat', '--label-style': 'labelStyle',
+        '--pattern': 'pattern', '--roster': 'roster', '--rename': 'rename', '--report': 'report', '--tolerance': 'tolerance', '--min-coverage': 'minCoverage'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+            continue;
+        }
+        if (arg === '--verbose') {
+            options.verbose = true;
+            continue;
+        }
+        if (!arg.startsWith('-')) {
+            options.files.push(arg);
+            continue;
+        }
+
+        const key = flags[arg];
+        if (!key) throw new Error(`Unknown option ${arg}`);
+
+        const value = argv[++i];
+        if (value === undefined) throw new Error(`${arg} needs a value`);
+
+        if (choices[key] && !choices[key].includes(value)) {
+            throw new Error(`${arg} must be one of: ${choices[key].join(', ')}`);
+        }
+
+        switch (key) {
+            case 'roster':
+                options.roster = value.split(',').map(name => name.trim()).filter(Boolean);
+                break;
+            case 'rename':
+                for (const pair of value.split(',')) {
+                    const [from, to] = pair.split('=').map(name => name && name.trim());
+                    if (!from || !to) throw new Error(`--rename expects FROM=TO pairs, got "${pair}"`);
+                    options.rename[from] = to;
+                }
+                break;
+            case 'maxTurn':
+            case 'tolerance':
+            case 'minCoverage':
+                options[key] = Number(value);
+                if (Number.isNaN(options[key])) throw new Error(`${arg} must be a number`);
+                break;
+            default:
+                options[key] = value;
+        }
+    }
+
+    if (!options.help) {
+        if (options.batch && options.files.length > 0) {
+            throw new Error('Give either --batch <directory> or a transcript and a timing file, not both');
+        }
+        if (!options.batch && options.files.length !== 2) {
+            throw new Error('Expected a transcript and a timing file');
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Pair transcripts and timing files in a directory by file name
+ * Corrected files and alignment reports from an earlier run are left out.
+ * @param {string} directory - Directory to scan
+ * @returns {Object} - {pairs: [{name, transcript, timing}], unpaired: [fileName]}
+ */
+function findPairs(directory) {
+    const files = fs.readdirSync(directory)
+        .filter(fileName => !OUTPUT_FILE_PATTERN.test(fileName))
+        .sort()
+        .map(fileName => ({ name: fileName }));
+    const { pairs, unpaired } = pairFiles(files);
+
+    return {
+        pairs: pairs.map(pair => ({
+            name: pair.name,
+            transcript: path.join(directory, pair.transcript.name),
+            timing: path.join(directory, pair.timing.name)
+        })),
+        unpaired: unpaired.map(file => file.name)
+    };
+}
+
+/**
+ * Synchronize one interview and write its output and alignment report
+ * @param {string} transcriptPath - Corrected transcript (TXT, DOCX or PDF)
+ * @param {string} timingPath - VTT, SRT or Whisper JSON
+ * @param {Object} options - Parsed command-line options
+ * @returns {Promise<Object>} - {output, reportFile, summary}
+ */
+async function synchronizeFiles(transcriptPath, timingPath, options) {
+    const transcript = await readTranscript(transcriptPath);
+    const result = synchronize({
+        transcriptText: transcript.fullText,
+        timedText: fs.readFileSync(timingPath, 'utf8'),
+        format: options.format,
+        options: {
+            transcriptFormat: options.transcriptFormat,
+            labelStyle: options.labelStyle,
+            customPattern: options.pattern,
+            roster: options.roster,
+            speakerLabels: transcript.speakerLabels,
+            speakerMap: options.rename,
+            layout: options.layout,
+            maxTurnMs: Math.round(options.maxTurn * 60000),
+            inlineTimestamps: options.inline,
+            timecodeToleranceMs: Math.round(options.tolerance * 1000)
+        }
+    });
+
+    if (options.verbose) {
+        result.diagnostics.log.forEach(entry => console.error(entry.message));
+    }
+
+    const reporter = new AlignmentReporter();
+    const report = result.diagnostics.report;
+    const outDir = options.out || path.dirname(timingPath);
+    const baseName = path.basename(timingPath, path.extname(timingPath));
+    const output = path.join(outDir, `${baseName}_corrected.${options.format}`);
+    const reportFile = path.join(outDir, `${baseName}_alignment.${options.report}`);
+
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(output, result.output);
+    fs.writeFileSync(reportFile, options.report === 'csv' ? reporter.toCSV(report) : reporter.toJSON(report));
+
+    return { output, reportFile, summary: report.summary };
+}
+
+/**
+ * Print one row per interview with coverage and status
+ * @param {Array} rows - [{name, summary, status}]
+ */
+function printSummary(rows) {
+    const header = ['Interview', 'Segments', 'Anchored', 'Coverage', 'Low conf.', 'Warnings', 'Status'];
+    const lines = rows.map(row => {
+        const summary = row.summary;
+        return [
+            row.name,
+            summary ? String(summary.segments) : '-',
+            summary ? String(summary.anchored) : '-',
+            summary ? `${Math.round(summary.coverage * 100)}%` : '-',
+            summary ? String(summary.lowConfidence) : '-',
+            summary ? String(summary.warnings) : '-',
+            row.status
+        ];
+    });
+
+    const widths = header.map((title, column) =>
+        Math.max(title.length, ...lines.map(line => line[column].length)));
+    const format = line => line.map((cell, column) =>
+        column === 0 || column === line.length - 1 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])
+    ).join('  ').trimEnd();
+
+    console.log(format(header));
+    console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    lines.forEach(line => console.log(format(line)));
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    let jobs;
+    if (options.batch) {
+        if (!fs.existsSync(options.batch) || !fs.statSync(options.batch).isDirectory()) {
+            console.error(`Not a directory: ${options.batch}`);
+            return 2;
+        }
+
+        const { pairs, unpaired } = findPairs(options.batch);
+        unpaired.forEach(fileName => console.error(`Skipping ${fileName}: no matching transcript or timing file`));
+
+        if (pairs.length === 0) {
+            console.error(`No transcript/timing file pairs found in ${options.batch}`);
+            return 2;
+        }
+        jobs = pairs;
+    } else {
+        const [transcript, timing] = options.files;
+        const missing = options.files.find(file => !fs.existsSync(file));
+        if (missing) {
+            console.error(`File not found: ${missing}`);
+            return 2;
+        }
+        jobs = [{ name: path.basename(timing, path.extname(timing)), transcript, timing }];
+    }
+
+    const rows = [];
+
+    for (const job of jobs) {
+        try {
+            const result = await synchronizeFiles(job.transcript, job.timing, options);
+            const low = result.summary.coverage < options.minCoverage;
+            rows.push({ name: job.name, summary: result.summary, status: low ? 'LOW COVERAGE' : 'ok' });
+            if (options.verbose) console.log(`Wrote ${result.output} and ${result.reportFile}`);
+        } catch (error) {
+            rows.push({ name: job.name, summary: null, status: 'FAILED' });
+            console.error(`${job.name}: ${error.message}`);
+        }
+    }
+
+    printSummary(rows);
+
+    if (rows.some(row => row.status === 'FAILED')) return 1;
+    if (rows.some(row => row.status === 'LOW COVERAGE')) return 3;
+    return 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,54 @@
+/**
+ * Logger Module
+ * The parsing and alignment modules report progress through a logger instead
+ * of the console. They are silent by default; pass console to watch them or a
+ * LogCollector to keep the messages.
+ */
+
+const silentLogger = {
+    log() {},
+    warn() {},
+    error() {}
+};
+
+class LogCollector {
+    constructor() {
+        this.entries = [];
+    }
+
+    log(...args) {
+        this.add('log', args);
+    }
+
+    warn(...args) {
+        this.add('warn', args);
+    }
+
+    error(...args) {
+        this.add('error', args);
+    }
+
+    /**
+     * Record a message
+     * @param {string} level - 'log', 'warn' or 'error'
+     * @param {Array} args - Console-style arguments
+     */
+    add(level, args) {
+        const message = args
+            .map(arg => arg instanceof Error ? arg.message : String(arg))
+            .join(' ');
+        this.entries.push({ level, message });
+    }
+
+    /**
+     * Get the messages logged at one level
+     * @param {string} level - 'log', 'warn' or 'error'
+     * @returns {Array} - Message strings
+     */
+    messages(level) {
+        return this.entries.filter(entry => entry.level === level).map(entry => entry.message);
+    }
+}
+
+// Export for use in other modules
+export { silentLogger, LogCollector };
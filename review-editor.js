@@ -0,0 +1,312 @@
+/**
+ * Review Editor Module
+ * Lets the user play the interview recording against the processed segments,
+ * adjust their timing and correct their text before export
+ */
+
+import { SRTParser } from './vtt-parser.js';
+
+class ReviewEditor {
+    /**
+     * @param {Object} elements - DOM elements
+     * @param {HTMLElement} elements.list - Container for the segment rows
+     * @param {HTMLMediaElement} elements.player - Audio/video element
+     * @param {HTMLInputElement} elements.mediaInput - File input for the recording
+     */
+    constructor(elements) {
+        this.srtParser = new SRTParser();
+        this.list = elements.list;
+        this.player = elements.player;
+        this.mediaInput = elements.mediaInput;
+        this.segments = [];
+        this.edited = false;
+        this.selectedIndex = -1;
+        this.stopAtMs = null;
+        this.mediaUrl = null;
+
+        this.mediaInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadMedia(file);
+        });
+
+        this.list.addEventListener('click', (e) => this.handleClick(e));
+        this.list.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.list.addEventListener('input', (e) => {
+            const row = e.target.closest('.review-row');
+            if (row && e.target.tagName === 'TEXTAREA') {
+                this.updateText(Number(row.dataset.index), e.target.value);
+            }
+        });
+        this.player.addEventListener('timeupdate', () => this.handleTimeUpdate());
+    }
+
+    /**
+     * Load segments for review (copies, so the originals stay untouched)
+     * @param {Array} segments - Output segments from the current cue layout
+     */
+    load(segments) {
+        this.segments = segments.map(segment => ({
+            ...segment,
+            words: segment.words ? segment.words.map(word => ({ ...word })) : segment.words,
+            lines: segment.lines ? [...segment.lines] : segment.lines
+        }));
+        this.edited = false;
+        this.selectedIndex = -1;
+        this.render();
+    }
+
+    /**
+     * Get the reviewed segments, ready for SRTParser.generate / generateSRT
+     * @returns {Array} - Edited segments
+     */
+    getSegments() {
+        return this.segments;
+    }
+
+    /**
+     * @returns {boolean} - Whether any timing or text was changed since load
+     */
+    hasEdits() {
+        return this.edited;
+    }
+
+    /**
+     * Play a local audio or video file
+     * @param {File} file - The interview recording
+     */
+    loadMedia(file) {
+        if (this.mediaUrl) {
+            URL.revokeObjectURL(this.mediaUrl);
+        }
+        this.mediaUrl = URL.createObjectURL(file);
+        this.player.src = this.mediaUrl;
+        this.player.classList.remove('hidden');
+    }
+
+    render() {
+        this.list.innerHTML = this.segments.map((segment, index) => `
+            <div class="review-row" data-index="${index}" tabindex="0">
+                <div class="review-header">
+                    <button type="button" data-action="play" title="Play from start (P)">▶</button>
+                    <span class="review-time" data-edge="start">${segment.startTime}</span>
+                    →
+                    <span class="review-time" data-edge="end">${segment.endTime}</span>
+                    <button type="button" data-action="set-start" title="Set start to playhead (S)">Set start</button>
+                    <button type="button" data-action="set-end" title="Set end to playhead (E)">Set end</button>
+                    <span class="review-speaker">${this.escapeHTML(segment.speaker || '')}</span>
+                </div>
+                <textarea rows="${segment.lines ? segment.lines.length : 2}">${this.escapeHTML(this.getEditableText(segment))}</textarea>
+            </div>`).join('');
+    }
+
+    handleClick(e) {
+        const row = e.target.closest('.review-row');
+        if (!row) return;
+
+        const index = Number(row.dataset.index);
+        this.select(index);
+
+        switch (e.target.dataset.action) {
+            case 'play':
+                this.playSegment(index);
+                break;
+            case 'set-start':
+                this.setTimeToPlayhead(index, 'start');
+                break;
+            case 'set-end':
+                this.setTimeToPlayhead(index, 'end');
+                break;
+        }
+    }
+
+    /**
+     * Keyboard shortcuts for the selected row (ignored while typing in its text)
+     * P play, S/E set start/end to playhead, [ ] nudge start, , . nudge end
+     * (100 ms, or 1 s with Shift), ↑/↓ previous/next segment
+     * @param {KeyboardEvent} e - Key event from the list
+     */
+    handleKeydown(e) {
+        const row = e.target.closest('.review-row');
+        if (!row) return;
+
+        const index = Number(row.dataset.index);
+        if (e.target.tagName === 'TEXTAREA') {
+            if (e.key === 'Escape') row.focus();
+            return;
+        }
+
+        const step = e.shiftKey ? 1000 : 100;
+        // Shift changes the character of punctuation keys, so match on key codes too
+        const actions = {
+            KeyP: () => this.playSegment(index),
+            KeyS: () => this.setTimeToPlayhead(index, 'start'),
+            KeyE: () => this.setTimeToPlayhead(index, 'end'),
+            BracketLeft: () => this.shiftTime(index, 'start', -step),
+            BracketRight: () => this.shiftTime(index, 'start', step),
+            Comma: () => this.shiftTime(index, 'end', -step),
+            Period: () => this.shiftTime(index, 'end', step),
+            ArrowUp: () => this.select(Math.max(0, index - 1), true),
+            ArrowDown: () => this.select(Math.min(this.segments.length - 1, index + 1), true)
+        };
+
+        const action = actions[e.code];
+        if (action) {
+            e.preventDefault();
+            action();
+        }
+    }
+
+    /**
+     * Highlight a row
+     * @param {number} index - Segment index
+     * @param {boolean} focus - Whether to move keyboard focus to it
+     */
+    select(index, focus = false) {
+        const previous = this.getRow(this.selectedIndex);
+        if (previous) previous.classList.remove('selected');
+
+        this.selectedIndex = index;
+        const row = this.getRow(index);
+        if (row) {
+            row.classList.add('selected');
+            if (focus) {
+                row.focus();
+                row.scrollIntoView({ block: 'nearest' });
+            }
+        }
+    }
+
+    /**
+     * Play a segment from its start, pausing at its end
+     * @param {number} index - Segment index
+     */
+    playSegment(index) {
+        if (!this.player.src) return;
+
+        const segment = this.segments[index];
+        this.stopAtMs = segment.endMs;
+        this.player.currentTime = segment.startMs / 1000;
+        this.player.play();
+    }
+
+    handleTimeUpdate() {
+        if (this.stopAtMs !== null && this.player.currentTime * 1000 >= this.stopAtMs) {
+            this.player.pause();
+            this.stopAtMs = null;
+        }
+    }
+
+    /**
+     * Move a segment's start or end by a number of milliseconds
+     * @param {number} index - Segment index
+     * @param {string} edge - 'start' or 'end'
+     * @param {number} deltaMs - Amount to move (negative is earlier)
+     */
+    shiftTime(index, edge, deltaMs) {
+        const segment = this.segments[index];
+        const current = edge === 'start' ? segment.startMs : segment.endMs;
+        this.setTime(index, edge, current + deltaMs);
+    }
+
+    /**
+     * Set a segment's start or end to the current playback position
+     * @param {number} index - Segment index
+     * @param {string} edge - 'start' or 'end'
+     */
+    setTimeToPlayhead(index, edge) {
+        if (!this.player.src) return;
+        this.setTime(index, edge, Math.round(this.player.currentTime * 1000));
+    }
+
+    /**
+     * Set a segment boundary, keeping the segment at least 100 ms long and
+     * rescaling its word timings into the new span
+     * @param {number} index - Segment index
+     * @param {string} edge - 'start' or 'end'
+     * @param {number} ms - New time in milliseconds
+     */
+    setTime(index, edge, ms) {
+        const segment = this.segments[index];
+        const MIN_DURATION = 100;
+
+        let startMs = segment.startMs;
+        let endMs = segment.endMs;
+        if (edge === 'start') {
+            startMs = Math.max(0, Math.min(ms, endMs - MIN_DURATION));
+        } else {
+            endMs = Math.max(ms, startMs + MIN_DURATION);
+        }
+
+        if (segment.words) {
+            const oldSpan = Math.max(segment.endMs - segment.startMs, 1);
+            const scale = (endMs - startMs) / oldSpan;
+            for (const word of segment.words) {
+                word.startMs = Math.round(startMs + (word.startMs - segment.startMs) * scale);
+                word.endMs = Math.round(startMs + (word.endMs - segment.startMs) * scale);
+            }
+        }
+
+        segment.startMs = startMs;
+        segment.endMs = endMs;
+        segment.startTime = this.srtParser.msToTime(startMs);
+        segment.endTime = this.srtParser.msToTime(endMs);
+        this.edited = true;
+
+        const row = this.getRow(index);
+        if (row) {
+            row.querySelector('[data-edge="start"]').textContent = segment.startTime;
+            row.querySelector('[data-edge="end"]').textContent = segment.endTime;
+        }
+    }
+
+    /**
+     * Apply edited text to a segment
+     * Pre-wrapped cues keep one line per textarea line. Word timings can no
+     * longer be trusted after an edit, so they are spread evenly again.
+     * @param {number} index - Segment index
+     * @param {string} text - Edited text
+     */
+    updateText(index, text) {
+        const segment = this.segments[index];
+        this.edited = true;
+
+        if (segment.lines) {
+            segment.lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+            segment.text = segment.lines.join(' ');
+        } else {
+            segment.text = text.replace(/\s+/g, ' ').trim();
+        }
+
+        if (segment.words) {
+            const words = segment.text.split(/\s+/).filter(Boolean);
+            const duration = segment.endMs - segment.startMs;
+            const totalChars = words.reduce((sum, word) => sum + word.length + 1, 0);
+            let offset = 0;
+
+            segment.words = words.map(word => {
+                const startMs = segment.startMs + Math.round(duration * offset / totalChars);
+                offset += word.length + 1;
+                return { text: word, startMs, endMs: segment.startMs + Math.round(duration * offset / totalChars) };
+            });
+        }
+    }
+
+    getEditableText(segment) {
+        return segment.lines ? segment.lines.join('\n') : segment.text;
+    }
+
+    getRow(index) {
+        return this.list.querySelector(`.review-row[data-index="${index}"]`);
+    }
+
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+export { ReviewEditor };
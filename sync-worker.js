@@ -0,0 +1,30 @@
+/**
+ * Synchronization Worker
+ * Runs synchronize off the main thread so long interviews do not freeze the
+ * page, posting progress messages while it works
+ *
+ * Messages out: {type: 'progress', progress}, {type: 'result', result}
+ * or {type: 'error', message}
+ */
+
+import { synchronize } from './synchronizer.js';
+
+self.addEventListener('message', (e) => {
+    const { transcriptText, timedText, format, options } = e.data;
+
+    try {
+        const result = synchronize({
+            transcriptText,
+            timedText,
+            format,
+            options: {
+                ...options,
+                onProgress: progress => self.postMessage({ type: 'progress', progress })
+            }
+        });
+
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
@@ -0,0 +1,213 @@
+/**
+ * Synchronizer Module
+ * Library entry point: turns a corrected transcript and a timing file into
+ * corrected cues without touching the DOM, File objects or the console
+ *
+ *   import { synchronize } from './synchronizer.js';
+ *   const { output, diagnostics } = synchronize({ transcriptText, timedText, format: 'srt' });
+ */
+
+import { SRTParser } from './vtt-parser.js';
+import { PDFParser } from './transcript-parser.js';
+import { TextAligner } from './text-aligner.js';
+import { AlignmentReporter } from './alignment-report.js';
+import { LogCollector, silentLogger } from './logger.js';
+
+const TRANSCRIPT_TYPES = ['txt', 'pdf', 'docx'];
+const TIMING_TYPES = ['vtt', 'srt', 'json'];
+
+/**
+ * Synchronize a corrected transcript with a timing file
+ * @param {Object} input - Synchronization input
+ * @param {string} input.transcriptText - Corrected transcript as plain text
+ * @param {string} input.timedText - VTT, SRT or Whisper JSON content
+ * @param {string} input.format - Output format: 'vtt' (default) or 'srt'
+ * @param {Object} input.options - Options for buildOutput, plus:
+ * @param {string} input.options.transcriptFormat - 'auto' (default), 'labels', 'rev', 'otter', 'trint' or 'descript'
+ * @param {string} input.options.labelStyle - Speaker label style: 'caps' (default), 'title', 'qa' or 'custom'
+ * @param {string} input.options.customPattern - Speaker name pattern for the 'custom' style
+ * @param {Array} input.options.roster - Known speaker names
+ * @param {Array} input.options.speakerLabels - Speaker labels marked by formatting (from PDFParser.readText)
+ * @param {number} input.options.timecodeToleranceMs - Flag transcript timecodes further than this from the VTT (default 5000)
+ * @param {Function} input.options.onProgress - Called with {phase, done, total, anchored} as the work advances
+ * @returns {Object} - {segments, outputSegments, output, diagnostics}
+ * @throws {Error} - When the inputs cannot be parsed or aligned
+ */
+function synchronize({ transcriptText, timedText, format = 'vtt', options = {} }) {
+    const logger = new LogCollector();
+    const pdfParser = new PDFParser({ logger });
+    const srtParser = new SRTParser({ logger });
+    const textAligner = new TextAligner({ logger });
+    const { onProgress = () => {} } = options;
+
+    // Step 1: Find speaker segments in the transcript
+    onProgress({ phase: 'Parsing transcript' });
+    let transcriptSegments;
+    try {
+        transcriptSegments = pdfParser.parseSpeakerSegments(transcriptText, {
+            transcriptFormat: options.transcriptFormat,
+            labelStyle: options.labelStyle,
+            customPattern: options.customPattern,
+            roster: options.roster,
+            speakerLabels: options.speakerLabels
+        });
+    } catch (error) {
+        throw new Error(`Transcript parsing failed: ${error.message}`);
+    }
+
+    logger.log(`Found ${transcriptSegments.length} speaker segments in transcript`);
+
+    // Step 2: Parse timing file (VTT, SRT or Whisper JSON)
+    onProgress({ phase: 'Parsing timing file' });
+    const srtResult = srtParser.parseText(timedText);
+
+    if (!srtResult.success) {
+        throw new Error(`Timing file parsing failed: ${srtResult.error}`);
+    }
+
+    if (srtResult.subtitles.length === 0) {
+        throw new Error('No timed cues found in the timing file.');
+    }
+
+    logger.log(`Found ${srtResult.subtitles.length} subtitles in timing file`);
+
+    // Step 3: Align texts and transfer timestamps
+    const alignedSegments = textAligner.align(transcriptSegments, srtResult.subtitles, {
+        timecodeToleranceMs: options.timecodeToleranceMs,
+        onProgress
+    });
+
+    if (alignedSegments.length === 0) {
+        throw new Error('Could not align the texts. Please ensure the transcript and timing file are from the same interview.');
+    }
+
+    // Steps 4-5: Pins, speaker names, cue layout and serialization
+    onProgress({ phase: 'Building output' });
+    const result = buildOutput({
+        alignedSegments,
+        subtitles: srtResult.subtitles,
+        format,
+        options,
+        logger
+    });
+
+    return {
+        segments: result.segments,
+        outputSegments: result.outputSegments,
+        output: result.output,
+        diagnostics: {
+            transcriptSegments,
+            subtitles: srtResult.subtitles,
+            alignedSegments,
+            report: result.report,
+            warnings: logger.messages('warn'),
+            log: logger.entries
+        }
+    };
+}
+
+/**
+ * Turn aligned segments into output, without aligning again
+ * Used by synchronize and by callers that change pins, speaker names or
+ * the cue layout after alignment.
+ * @param {Object} input - Export input
+ * @param {Array} input.alignedSegments - Segments from TextAligner.align
+ * @param {Array} input.subtitles - Parsed subtitles they were aligned to
+ * @param {string} input.format - Output format: 'vtt' (default) or 'srt'
+ * @param {Object} input.options - Export options
+ * @param {Array} input.options.pins - Pins from TextAligner.createPin
+ * @param {Object} input.options.speakerMap - Speaker names, original → new
+ * @param {string} input.options.layout - 'turns' (default), 'captions' or 'original'
+ * @param {number} input.options.maxTurnMs - Split turns longer than this in the 'turns' layout (default 120000)
+ * @param {Object} input.options.captions - Caption limits for the 'captions' layout (see TextAligner.buildCaptionCues)
+ * @param {string} input.options.inlineTimestamps - VTT inline timestamps: 'none' (default), 'phrase' or 'word'
+ * @param {number} input.options.lowConfidence - Report threshold for flagging anchors
+ * @param {Object} input.logger - Receives progress messages (silent by default)
+ * @returns {Object} - {segments, outputSegments, output, report}
+ */
+function buildOutput({ alignedSegments, subtitles, format = 'vtt', options = {}, logger = silentLogger }) {
+    const {
+        pins = [],
+        speakerMap = {},
+        layout = 'turns',
+        maxTurnMs,
+        captions = {},
+        inlineTimestamps = 'none',
+        lowConfidence
+    } = options;
+
+    const srtParser = new SRTParser({ logger });
+    const textAligner = new TextAligner({ logger });
+    const reporter = new AlignmentReporter();
+
+    const totalDurationMs = subtitles[subtitles.length - 1].endMs;
+    const segments = textAligner.renameSpeakers(
+        textAligner.applyPins(alignedSegments, pins, totalDurationMs),
+        speakerMap
+    );
+
+    let outputSegments;
+    if (layout === 'captions') {
+        outputSegments = textAligner.buildCaptionCues(segments, captions);
+    } else if (layout === 'original') {
+        outputSegments = textAligner.buildPreservedCues(segments, subtitles);
+    } else {
+        outputSegments = textAligner.processSegments(segments, { maxTurnMs });
+    }
+
+    const output = format === 'srt'
+        ? srtParser.generateSRT(outputSegments)
+        : srtParser.generate(outputSegments, { inlineTimestamps });
+
+    return {
+        segments,
+        outputSegments,
+        output,
+        report: reporter.build(segments, subtitles, lowConfidence === undefined ? {} : { lowConfidence })
+    };
+}
+
+/**
+ * Pair transcripts with timing files by file name
+ * interview-01.txt and Interview-01.vtt make a pair (the extension and case
+ * are ignored). When a name has several files of one kind, the first wins
+ * and the rest are unpaired. Files of other types are left out.
+ * @param {Array} files - Objects with a name, e.g. File objects
+ * @returns {Object} - {pairs: [{name, transcript, timing}], unpaired: [file]}
+ */
+function pairFiles(files) {
+    const byName = new Map();
+    const unpaired = [];
+
+    for (const file of files) {
+        const dot = file.name.lastIndexOf('.');
+        const name = dot > 0 ? file.name.slice(0, dot) : file.name;
+        const extension = dot > 0 ? file.name.slice(dot + 1).toLowerCase() : '';
+        const kind = TRANSCRIPT_TYPES.includes(extension) ? 'transcript' : TIMING_TYPES.includes(extension) ? 'timing' : null;
+        const key = name.toLowerCase();
+        const entry = byName.get(key) || { name, transcript: null, timing: null };
+
+        if (!kind) continue;
+        if (entry[kind]) {
+            unpaired.push(file);
+            continue;
+        }
+
+        entry[kind] = file;
+        byName.set(key, entry);
+    }
+
+    const pairs = [];
+    for (const entry of byName.values()) {
+        if (entry.transcript && entry.timing) {
+            pairs.push(entry);
+        } else {
+            unpaired.push(entry.transcript || entry.timing);
+        }
+    }
+
+    return { pairs, unpaired };
+}
+
+// Export for use in other modules
+export { synchronize, buildOutput, pairFiles, TRANSCRIPT_TYPES, TIMING_TYPES, SRTParser, PDFParser, TextAligner, AlignmentReporter, LogCollector };
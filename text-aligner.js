@@ -3,65 +3,151 @@
  * Aligns corrected transcript with timestamped SRT to transfer timestamps
  */
 
+import { silentLogger } from './logger.js';
+import { SRTParser } from './vtt-parser.js';
+
+const NGRAM_SIZE = 3; // Words per n-gram in the anchor search index
+const TIMECODE_DISCARD_FACTOR = 4; // Timecodes this many tolerances from the VTT match (and a minute or more) are ignored
+
+// Scripts written without spaces between words
+const UNSPACED_SCRIPTS = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Thai}\\p{Script=Lao}\\p{Script=Khmer}\\p{Script=Myanmar}';
+const UNSPACED_TEXT = new RegExp(`[${UNSPACED_SCRIPTS}]`, 'u');
+const UNSPACED_CHARACTERS = new RegExp(`[${UNSPACED_SCRIPTS}]|[^${UNSPACED_SCRIPTS}]+`, 'gu');
+
+// Case folds that lower-casing and NFKD leave undone (long s, Greek symbol
+// forms and ligatures already fold under NFKD). U+0345 is the Greek iota subscript.
+const CASE_FOLDS = {
+    'ß': 'ss', 'ς': 'σ', '\u0345': 'ι',
+    'ᲀ': 'в', 'ᲁ': 'д', 'ᲂ': 'о', 'ᲃ': 'с', 'ᲄ': 'т', 'ᲅ': 'т', 'ᲆ': 'ъ', 'ᲇ': 'ѣ', 'ᲈ': 'ꙋ'
+};
+
+// Letters whose accent is part of the letter, so Unicode decomposition keeps it
+const LETTER_FOLDS = { 'ł': 'l', 'ø': 'o', 'đ': 'd', 'ħ': 'h', 'ı': 'i', 'æ': 'ae', 'œ': 'oe' };
+
+// Contractions spelled out, so "don't" matches "do not"
+const CONTRACTIONS = { "won't": 'will not', "can't": 'can not', "shan't": 'shall not', 'cannot': 'can not' };
+const CONTRACTION_ENDINGS = [[/n't$/, ' not'], [/'re$/, ' are'], [/'ve$/, ' have'], [/'ll$/, ' will'], [/'m$/, ' am'], [/'d$/, ' would']];
+
+// Number words, so "1965" matches "nineteen sixty five"
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const ORDINALS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+
+// Soundex consonant classes; vowels, h, w and y have none
+const SOUND_CLASSES = {
+    b: 1, f: 1, p: 1, v: 1,
+    c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+    d: 3, t: 3,
+    l: 4,
+    m: 5, n: 5,
+    r: 6
+};
+
 class TextAligner {
-    constructor() {
-        this.srtParser = new SRTParser();
+    /**
+     * @param {Object} options - Aligner options
+     * @param {Object} options.logger - Receives progress messages (silent by default)
+     */
+    constructor(options = {}) {
+        this.logger = options.logger || silentLogger;
+        this.srtParser = new SRTParser({ logger: this.logger });
+        this.wordSegmenter = typeof Intl.Segmenter === 'function'
+            ? new Intl.Segmenter(undefined, { granularity: 'word' })
+            : null;
     }
 
     /**
-     * Main alignment function using two-pass anchor-based approach
+     * Main alignment function using global word-level sequence alignment
+     * The whole corrected word stream is aligned against the whole VTT word
+     * stream, so every corrected word maps back to a source cue and a single
+     * missed segment can no longer push the rest of the transcript off course.
+     * Inline timecodes from the transcript are applied as hard anchors, then
+     * turn times from a transcription service fill in unmatched segments.
      * @param {Array} pdfSegments - Speaker segments from corrected PDF
      * @param {Array} srtSubtitles - Parsed SRT subtitles with timestamps
-     * @returns {Array} - All segments with timestamps (anchored or interpolated)
+     * @param {Object} options - Alignment options
+     * @param {number} options.timecodeToleranceMs - Warn when a transcript timecode is further than this from the VTT match
+     * @param {Function} options.onProgress - Called with {phase, done, total, anchored} as the alignment advances
+     * @returns {Array} - All segments with timestamps (anchored, interpolated, or from timecodes or service times)
      */
-    align(pdfSegments, srtSubtitles) {
+    align(pdfSegments, srtSubtitles, options = {}) {
+        const { timecodeToleranceMs = 5000, onProgress = () => {} } = options;
+
+        // Index the VTT words once; both the start search and the alignment use it
+        onProgress({ phase: 'Finding transcript start' });
+        const srtWords = this.buildSubtitleWordStream(srtSubtitles);
+        const srtIndex = this.buildNgramIndex(srtWords.map(word => word.word));
+
         // Smart detection: Find where the actual transcript starts in the PDF
-        const startIndex = this.findTranscriptStart(pdfSegments, srtSubtitles);
+        const startIndex = this.findTranscriptStart(pdfSegments, srtIndex);
 
         if (startIndex > 0) {
-            console.log(`Skipping front matter: ignoring first ${startIndex} PDF segments`);
+            this.logger.log(`Skipping front matter: ignoring first ${startIndex} PDF segments`);
         }
 
-        // PASS 1: Find high-confidence anchor points
-        console.log('\n=== PASS 1: Finding anchor points ===');
+        // PASS 1: Align word streams and derive anchor points from them
+        this.logger.log('\n=== PASS 1: Aligning word streams ===');
         const MIN_ANCHOR_CONFIDENCE = 0.28; // Lowered for transcripts with many corrections/additions
-        const anchors = [];
-        let srtIndex = 0;
+        const pdfTokens = this.buildTranscriptWordStream(pdfSegments, startIndex);
+
+        // Punctuation-only tokens (e.g. "--") take no part in the alignment
+        const alignable = pdfTokens.filter(token => token.word);
+        const mapping = this.alignWordStreams(
+            alignable.map(token => token.word),
+            srtWords.map(word => word.word),
+            (done, total) => onProgress({ phase: 'Aligning words', done, total }),
+            srtIndex
+        );
+
+        alignable.forEach((token, k) => {
+            token.srtWordIndex = mapping[k];
+        });
+        this.scoreAlignedWords(alignable, srtWords);
 
-        for (let i = startIndex; i < pdfSegments.length; i++) {
-            if (srtIndex >= srtSubtitles.length - 5) break;
+        this.logger.log(`Aligned ${alignable.length} transcript words against ${srtWords.length} VTT words`);
 
-            const pdfSegment = pdfSegments[i];
-            const pdfText = this.cleanText(pdfSegment.text);
-            const pdfWords = pdfText.split(/\s+/);
+        const segmentWords = this.assignWordCues(pdfTokens, srtWords);
+        const anchors = [];
+        const confidences = new Map();
 
-            const match = this.findBestMatch(pdfWords, srtSubtitles, srtIndex);
+        for (let i = startIndex; i < pdfSegments.length; i++) {
+            const tokens = segmentWords.get(i).tokens;
+            const aligned = tokens.filter(token => token.srtWordIndex >= 0);
+            const score = tokens.reduce((sum, token) => sum + token.score, 0);
+            const confidence = tokens.length > 0 ? score / tokens.length : 0;
+            confidences.set(i, confidence);
+
+            if ((i - startIndex) % 50 === 0) {
+                onProgress({ phase: 'Finding anchors', done: i - startIndex, total: pdfSegments.length - startIndex, anchored: anchors.length });
+            }
 
-            if (match && match.confidence >= MIN_ANCHOR_CONFIDENCE) {
+            if (score > 0 && confidence >= MIN_ANCHOR_CONFIDENCE) {
+                const first = srtWords[aligned[0].srtWordIndex];
+                const last = srtWords[aligned[aligned.length - 1].srtWordIndex];
                 anchors.push({
                     pdfIndex: i,
-                    speaker: pdfSegment.speaker,
-                    startMs: match.startMs,
-                    endMs: match.endMs,
-                    confidence: match.confidence
+                    speaker: pdfSegments[i].speaker,
+                    startMs: first.startMs,
+                    endMs: last.endMs,
+                    confidence,
+                    cueStart: first.cueIndex,
+                    cueEnd: last.cueIndex
                 });
-                console.log(`  Anchor ${anchors.length}: PDF segment ${i} (${pdfSegment.speaker}) → SRT ${match.startIndex}-${match.endIndex} (confidence: ${match.confidence.toFixed(2)})`);
-                srtIndex = match.endIndex + 1;
-            } else {
-                // Move forward slowly to not skip content
-                srtIndex = Math.min(srtIndex + 1, srtSubtitles.length - 1);
+                this.logger.log(`  Anchor ${anchors.length}: PDF segment ${i} (${pdfSegments[i].speaker}) → SRT ${first.cueIndex}-${last.cueIndex} (confidence: ${confidence.toFixed(2)})`);
             }
         }
 
-        console.log(`\nFound ${anchors.length} anchor points with confidence >= ${MIN_ANCHOR_CONFIDENCE}`);
+        this.logger.log(`\nFound ${anchors.length} anchor points with confidence >= ${MIN_ANCHOR_CONFIDENCE}`);
 
         // PASS 2: Create timestamps for all segments (anchored or interpolated)
-        console.log('\n=== PASS 2: Interpolating timestamps ===');
+        this.logger.log('\n=== PASS 2: Interpolating timestamps ===');
+        onProgress({ phase: 'Interpolating timestamps', anchored: anchors.length });
 
         // Get total duration from VTT for proper interpolation
         const totalDurationMs = srtSubtitles[srtSubtitles.length - 1].endMs;
-        const totalSegments = pdfSegments.length - startIndex;
-        console.log(`Total VTT duration: ${this.srtParser.msToTime(totalDurationMs)}`);
+        const wordCounts = pdfSegments.map((segment, i) => (i < startIndex ? 0 : segmentWords.get(i).words.length));
+        this.logger.log(`Total VTT duration: ${this.srtParser.msToTime(totalDurationMs)}`);
 
         const result = [];
         let interpolatedCount = 0;
@@ -78,292 +164,685 @@ class TextAligner {
                     startTime: this.srtParser.msToTime(anchor.startMs),
                     endTime: this.srtParser.msToTime(anchor.endMs),
                     startMs: anchor.startMs,
-                    endMs: anchor.endMs
+                    endMs: anchor.endMs,
+                    confidence: anchor.confidence,
+                    source: 'anchor',
+                    cueStart: anchor.cueStart,
+                    cueEnd: anchor.cueEnd,
+                    words: this.estimateWordTimings(segmentWords.get(i).words, anchor.startMs, anchor.endMs, true)
                 });
             } else {
                 // Interpolate timestamp with total duration context
-                const interpolated = this.interpolateTimestamp(i, anchors, totalDurationMs, totalSegments, startIndex);
+                const interpolated = this.interpolateTimestamp(i, anchors, totalDurationMs, wordCounts, startIndex);
                 result.push({
                     speaker: pdfSegment.speaker,
                     text: pdfSegment.text,
                     startTime: this.srtParser.msToTime(interpolated.startMs),
                     endTime: this.srtParser.msToTime(interpolated.endMs),
                     startMs: interpolated.startMs,
-                    endMs: interpolated.endMs
+                    endMs: interpolated.endMs,
+                    confidence: confidences.get(i),
+                    source: 'interpolated',
+                    cueStart: null,
+                    cueEnd: null,
+                    words: this.estimateWordTimings(segmentWords.get(i).words, interpolated.startMs, interpolated.endMs, false)
                 });
                 interpolatedCount++;
             }
         }
 
-        console.log(`\nAlignment complete:`);
-        console.log(`  - ${anchors.length} segments with matched timestamps`);
-        console.log(`  - ${interpolatedCount} segments with interpolated timestamps`);
-        console.log(`  - ${result.length} total segments in output`);
+        this.logger.log(`\nAlignment complete:`);
+        this.logger.log(`  - ${anchors.length} segments with matched timestamps`);
+        this.logger.log(`  - ${interpolatedCount} segments with interpolated timestamps`);
+        this.logger.log(`  - ${result.length} total segments in output`);
 
-        return result;
+        const timed = this.applyTimecodes(result, pdfSegments.slice(startIndex), totalDurationMs, timecodeToleranceMs);
+        return this.closeGaps(this.applyTimeHints(timed, pdfSegments.slice(startIndex), totalDurationMs));
     }
 
     /**
-     * Find where the actual transcript starts in the PDF
-     * Skips front matter by finding the first segment that aligns well with SRT
-     * @param {Array} pdfSegments - Speaker segments from PDF
-     * @param {Array} srtSubtitles - Parsed SRT subtitles
-     * @returns {number} - Index of first segment that's part of the actual transcript
+     * Time unmatched segments from the transcription service's turn times
+     * A service's time is less trustworthy than a VTT match or a timecode
+     * typed into the transcript, so it only replaces interpolation, and only
+     * when it falls between the segments timed on either side.
+     * @param {Array} segments - Aligned segments
+     * @param {Array} pdfSegments - Transcript segments in the same order, with optional timeHint
+     * @param {number} totalDurationMs - Duration of the timing file
+     * @returns {Array} - Segments with hints applied
      */
-    findTranscriptStart(pdfSegments, srtSubtitles) {
-        const MIN_CONFIDENCE = 0.4; // Threshold for considering a match valid
-        const SEARCH_LIMIT = Math.min(20, pdfSegments.length); // Check more segments
-
-        // Get first few words from SRT to use as anchor
-        const firstSrtText = srtSubtitles.slice(0, 5).map(s => s.text).join(' ');
-        const firstSrtWords = this.cleanText(firstSrtText).split(/\s+/).slice(0, 10);
-
-        for (let i = 0; i < SEARCH_LIMIT; i++) {
-            const pdfSegment = pdfSegments[i];
-            const pdfText = this.cleanText(pdfSegment.text);
-            const pdfWords = pdfText.split(/\s+/);
-
-            // Skip very short segments (likely headers/titles/metadata)
-            if (pdfWords.length < 5) {
-                console.log(`Skipping short segment ${i}: "${pdfSegment.text.substring(0, 50)}..."`);
-                continue;
+    applyTimeHints(segments, pdfSegments, totalDurationMs) {
+        const startTimes = new Map();
+        let previousMs = 0;
+
+        segments.forEach((segment, index) => {
+            if (segment.source !== 'interpolated') {
+                previousMs = segment.startMs;
+                return;
             }
 
-            // Check if this segment contains words from the start of the SRT
-            const match = this.findBestMatch(pdfWords, srtSubtitles, 0);
+            const hintMs = pdfSegments[index].timeHint;
+            if (hintMs === undefined) return;
 
-            if (match && match.confidence >= MIN_CONFIDENCE) {
-                console.log(`Found transcript start at PDF segment ${i} (speaker: ${pdfSegment.speaker}) with confidence ${match.confidence.toFixed(2)}`);
-                return i;
-            } else {
-                console.log(`Segment ${i} (speaker: ${pdfSegment.speaker}) confidence too low: ${match ? match.confidence.toFixed(2) : 'N/A'}`);
+            const next = segments.slice(index + 1).find(later => later.source !== 'interpolated');
+            const nextMs = next ? next.startMs : totalDurationMs;
+            if (hintMs >= previousMs && hintMs < nextMs) {
+                startTimes.set(index, hintMs);
+                previousMs = hintMs;
             }
+        });
+
+        if (startTimes.size > 0) {
+            this.logger.log(`\n=== Applying ${startTimes.size} transcription service times ===`);
         }
 
-        // If no good match found, assume transcript starts at beginning
-        console.log('No front matter detected, starting from beginning');
-        return 0;
+        return this.applyHardAnchors(segments, startTimes, 'hint', totalDurationMs);
     }
 
     /**
-     * Align a single PDF segment with SRT subtitles
-     * @param {Object} pdfSegment - PDF segment with speaker and text
-     * @param {Array} srtSubtitles - All SRT subtitles
-     * @param {number} startIndex - Index to start searching in SRT
-     * @returns {Object} - Aligned segment with timestamps
+     * Use inline transcript timecodes as hard anchors
+     * The first timecode of a segment fixes its start (a timecode before a
+     * later word is moved back by that word's offset). Every timecode is
+     * checked against the word's VTT match, and segments where they disagree
+     * by more than the tolerance get a warning; the timecode still wins.
+     * Timecodes outside the recording, or so far from the VTT match that
+     * they must be typos, are ignored with a warning.
+     * @param {Array} segments - Aligned segments
+     * @param {Array} pdfSegments - Transcript segments in the same order, with optional timecodes
+     * @param {number} totalDurationMs - Duration of the timing file
+     * @param {number} toleranceMs - Allowed difference from the VTT match
+     * @returns {Array} - Segments with timecodes applied
      */
-    alignSegment(pdfSegment, srtSubtitles, startIndex) {
-        const pdfText = this.cleanText(pdfSegment.text);
-        const pdfWords = pdfText.split(/\s+/);
+    applyTimecodes(segments, pdfSegments, totalDurationMs, toleranceMs) {
+        const result = segments.slice();
+        const startTimes = new Map();
+
+        pdfSegments.forEach((pdfSegment, index) => {
+            if (!pdfSegment.timecodes) return;
+
+            const segment = result[index];
+            const warnings = [];
+
+            for (const timecode of pdfSegment.timecodes) {
+                const word = segment.words[Math.min(timecode.wordIndex, segment.words.length - 1)];
+                const offsetMs = word ? word.startMs - segment.startMs : 0;
+                const differenceMs = segment.source === 'anchor' && word ? Math.abs(timecode.ms - word.startMs) : 0;
+                const time = this.srtParser.msToTime(timecode.ms);
+                let message = null;
+                let usable = true;
+
+                if (timecode.ms > totalDurationMs) {
+                    message = `Transcript timecode ${time} is after the end of the recording (${this.srtParser.msToTime(totalDurationMs)}); ignored`;
+                    usable = false;
+                } else if (differenceMs > Math.max(toleranceMs * TIMECODE_DISCARD_FACTOR, 60000)) {
+                    message = `Transcript timecode ${time} is ${(differenceMs / 1000).toFixed(1)} s from the VTT match (${this.srtParser.msToTime(word.startMs)}); ignored`;
+                    usable = false;
+                } else if (differenceMs > toleranceMs) {
+                    message = `Transcript timecode ${time} is ${(differenceMs / 1000).toFixed(1)} s from the VTT match (${this.srtParser.msToTime(word.startMs)})`;
+                }
+
+                if (usable && !startTimes.has(index)) {
+                    startTimes.set(index, Math.max(0, timecode.ms - offsetMs));
+                }
 
-        // Find the best matching range in SRT
-        const match = this.findBestMatch(pdfWords, srtSubtitles, startIndex);
+                if (message) {
+                    this.logger.warn(`  Segment ${index + 1} (${segment.speaker}): ${message}`);
+                    warnings.push(message);
+                }
+            }
 
-        if (!match) {
-            console.warn('No match found for segment:', pdfSegment.speaker);
-            return null;
+            if (warnings.length > 0) {
+                result[index] = { ...segment, warning: warnings.join('; ') };
+            }
+        });
+
+        if (startTimes.size > 0) {
+            this.logger.log(`\n=== Applying ${startTimes.size} transcript timecodes ===`);
         }
 
-        return {
-            speaker: pdfSegment.speaker,
-            text: pdfSegment.text,
-            startTime: match.startTime,
-            endTime: match.endTime,
-            startMs: match.startMs,
-            endMs: match.endMs,
-            lastSrtIndex: match.endIndex,
-            confidence: match.confidence
-        };
+        return this.applyHardAnchors(result, startTimes, 'timecode', totalDurationMs);
     }
 
     /**
-     * Find the best matching SRT range for given PDF words
-     * @param {Array} pdfWords - Words from PDF segment
-     * @param {Array} srtSubtitles - All SRT subtitles
-     * @param {number} startIndex - Index to start searching
-     * @returns {Object} - Match information
-     */
-    findBestMatch(pdfWords, srtSubtitles, startIndex) {
-        const MIN_CONFIDENCE = 0.25; // Minimum threshold for accepting a match
-        const windowSize = Math.min(30, srtSubtitles.length - startIndex); // Search next 30 positions
-        const maxRangeSize = 30; // Maximum SRT subtitles per PDF segment (allows for longer speaker turns)
-        let bestMatch = null;
-        let bestScore = 0;
-
-        // Try different window sizes to find best match
-        for (let i = startIndex; i < Math.min(startIndex + windowSize, srtSubtitles.length); i++) {
-            for (let j = i; j < Math.min(i + maxRangeSize, srtSubtitles.length); j++) {
-                const srtRange = srtSubtitles.slice(i, j + 1);
-                const srtText = srtRange.map(s => s.text).join(' ');
-                const srtWords = this.cleanText(srtText).split(/\s+/);
-
-                const rawScore = this.calculateSimilarity(pdfWords, srtWords);
-
-                // Penalty for large ranges - prefer compact matches
-                // Average should be ~3.5 SRT subtitles per PDF segment (986/278)
-                // But allow for longer speaker turns (some can be 20-30 subtitles)
-                const rangeSize = j - i + 1;
-                const sizePenalty = rangeSize > 15 ? (1 - (rangeSize - 15) * 0.02) : 1;
-                const score = rawScore * sizePenalty;
-
-                if (score > bestScore) {
-                    bestScore = score;
-                    bestMatch = {
-                        startIndex: i,
-                        endIndex: j,
-                        startTime: srtRange[0].startTime,
-                        endTime: srtRange[srtRange.length - 1].endTime,
-                        startMs: srtRange[0].startMs,
-                        endMs: srtRange[srtRange.length - 1].endMs,
-                        confidence: rawScore, // Store original score
-                        rangeSize: rangeSize
-                    };
+     * Build the VTT word stream used for alignment
+     * Each word keeps its cue index and a time inside the cue. Word timings
+     * from the source (e.g. Whisper JSON) are used when present; otherwise the
+     * cue duration is spread over its words by character length.
+     * @param {Array} srtSubtitles - Parsed SRT subtitles
+     * @returns {Array} - Array of {word, cueIndex, startMs, endMs}
+     */
+    buildSubtitleWordStream(srtSubtitles) {
+        const stream = [];
+
+        srtSubtitles.forEach((subtitle, cueIndex) => {
+            if (subtitle.words) {
+                // Fill in any words the source could not time
+                const timedWords = this.estimateWordTimings(
+                    subtitle.words.map(word => ({ ...word })),
+                    subtitle.startMs,
+                    subtitle.endMs,
+                    true
+                );
+                for (const timedWord of timedWords) {
+                    for (const word of this.splitWords(timedWord.text)) {
+                        stream.push({ word, cueIndex, startMs: timedWord.startMs, endMs: timedWord.endMs });
+                    }
                 }
+                return;
+            }
 
-                // If we found a very good match with reasonable size, stop searching
-                if (score > 0.75 && rangeSize <= 20) break;
+            const words = this.splitWords(subtitle.text);
+            const totalChars = words.reduce((sum, word) => sum + word.length + 1, 0);
+            const duration = subtitle.endMs - subtitle.startMs;
+            let offset = 0;
+
+            for (const word of words) {
+                const startMs = subtitle.startMs + Math.round(duration * offset / totalChars);
+                offset += word.length + 1;
+                const endMs = subtitle.startMs + Math.round(duration * offset / totalChars);
+                stream.push({ word, cueIndex, startMs, endMs });
             }
+        });
 
-            // If we found a very good match, stop searching
-            if (bestScore > 0.75) break;
-        }
+        return stream;
+    }
+
+    /**
+     * Build the corrected-transcript word stream used for alignment
+     * Text between spaces that holds several words (e.g. Chinese) gives one
+     * entry per word; the entries after the first have text null.
+     * @param {Array} pdfSegments - Speaker segments from PDF
+     * @param {number} startIndex - Index where transcript starts
+     * @returns {Array} - Array of {text, word, segmentIndex}; word is the cleaned form
+     */
+    buildTranscriptWordStream(pdfSegments, startIndex) {
+        const stream = [];
 
-        // Only return match if it meets minimum confidence threshold
-        if (bestMatch && bestMatch.confidence >= MIN_CONFIDENCE) {
-            console.log(`  → Matched to SRT ${bestMatch.startIndex}-${bestMatch.endIndex} (${bestMatch.rangeSize} subtitles, confidence: ${bestMatch.confidence.toFixed(2)})`);
-            return bestMatch;
+        for (let i = startIndex; i < pdfSegments.length; i++) {
+            const tokens = pdfSegments[i].text.split(/\s+/).filter(Boolean);
+            for (const text of tokens) {
+                const words = this.splitWords(text);
+                if (words.length === 0) {
+                    stream.push({ text, word: '', segmentIndex: i });
+                }
+                words.forEach((word, k) => {
+                    stream.push({ text: k === 0 ? text : null, word, segmentIndex: i });
+                });
+            }
         }
 
-        return null; // No good match found
+        return stream;
     }
 
     /**
-     * Calculate similarity between two word arrays
-     * Uses Jaccard similarity with position weighting
-     * @param {Array} words1 - First word array
-     * @param {Array} words2 - Second word array
-     * @returns {number} - Similarity score (0-1)
+     * Index the word n-grams of a stream
+     * @param {Array} words - Cleaned words
+     * @returns {Map} - N-gram key → position of its first word, or -1 if it occurs more than once
      */
-    calculateSimilarity(words1, words2) {
-        const set1 = new Set(words1);
-        const set2 = new Set(words2);
+    buildNgramIndex(words) {
+        const index = new Map();
 
-        const intersection = new Set([...set1].filter(x => set2.has(x)));
-        const union = new Set([...set1, ...set2]);
+        for (let k = 0; k + NGRAM_SIZE <= words.length; k++) {
+            const key = this.ngramKey(words, k);
+            index.set(key, index.has(key) ? -1 : k);
+        }
 
-        const jaccardScore = intersection.size / union.size;
+        return index;
+    }
 
-        // Also consider word order and length similarity
-        const lengthRatio = Math.min(words1.length, words2.length) / Math.max(words1.length, words2.length);
+    /**
+     * Key of the n-gram starting at a position
+     * @param {Array} words - Cleaned words
+     * @param {number} start - Position of the first word
+     * @returns {string} - The n-gram's words joined by spaces
+     */
+    ngramKey(words, start) {
+        return words.slice(start, start + NGRAM_SIZE).join(' ');
+    }
 
-        // Calculate sequential match score (how many words appear in order)
-        let sequentialMatches = 0;
-        let j = 0;
-        for (let i = 0; i < words1.length && j < words2.length; i++) {
-            if (words1[i] === words2[j]) {
-                sequentialMatches++;
-                j++;
+    /**
+     * Find word pairs the two streams certainly share
+     * N-grams that occur exactly once in each stream are matched wherever
+     * they are in the file. The longest chain of them that is in order in
+     * both streams is kept, minus links that jump away from both neighbours
+     * (a phrase the VTT misheard into one said elsewhere).
+     * @param {Array} pdfWords - Cleaned words from the corrected transcript
+     * @param {Map} srtIndex - N-gram index of the VTT words
+     * @returns {Array} - [pdfPosition, srtPosition] pairs, increasing in both
+     */
+    findAnchorChain(pdfWords, srtIndex) {
+        const MAX_DRIFT = 20; // Words a link may shift from its neighbours
+
+        // Map order is insertion order, so candidates come sorted by transcript position
+        const candidates = [];
+        for (const [key, pdfPosition] of this.buildNgramIndex(pdfWords)) {
+            const srtPosition = srtIndex.get(key);
+            if (pdfPosition >= 0 && srtPosition >= 0) {
+                candidates.push([pdfPosition, srtPosition]);
             }
         }
-        const sequentialScore = sequentialMatches / Math.max(words1.length, words2.length);
 
-        // Combine scores
-        return (jaccardScore * 0.5) + (lengthRatio * 0.2) + (sequentialScore * 0.3);
+        // Longest increasing subsequence of VTT positions (patience sorting)
+        const tails = [];
+        const previous = new Int32Array(candidates.length);
+        candidates.forEach(([, srtPosition], k) => {
+            let lo = 0;
+            let hi = tails.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (candidates[tails[mid]][1] < srtPosition) lo = mid + 1;
+                else hi = mid;
+            }
+            previous[k] = lo > 0 ? tails[lo - 1] : -1;
+            tails[lo] = k;
+        });
+
+        const chain = [];
+        for (let k = tails.length > 0 ? tails[tails.length - 1] : -1; k >= 0; k = previous[k]) {
+            chain.push(candidates[k]);
+        }
+        chain.reverse();
+
+        const drift = (a, b) => Math.abs((a[1] - a[0]) - (b[1] - b[0]));
+        return chain.filter((link, k) =>
+            (k > 0 && drift(link, chain[k - 1]) <= MAX_DRIFT) ||
+            (k < chain.length - 1 && drift(link, chain[k + 1]) <= MAX_DRIFT));
     }
 
     /**
-     * Split long segments (>2 minutes) into smaller ones
-     * @param {Array} segments - Aligned segments
-     * @returns {Array} - Segments with long ones split
+     * Align two word sequences across the whole file
+     * Shared n-grams fix certain word pairs first (see findAnchorChain), so
+     * the edit-distance alignment only has to fill the short gaps between
+     * them. That keeps long recordings near-linear and lets the alignment
+     * recover from long stretches that only one side contains, such as an
+     * untranscribed break between sessions.
+     * @param {Array} pdfWords - Cleaned words from the corrected transcript
+     * @param {Array} srtWords - Cleaned words from the VTT
+     * @param {Function} onProgress - Called with (words done, total words) about a hundred times
+     * @param {Map} srtIndex - N-gram index of srtWords, if already built
+     * @returns {Int32Array} - Aligned VTT word index for each transcript word, or -1
      */
-    splitLongSegments(segments) {
-        const result = [];
-        const maxDuration = 120000; // 2 minutes in milliseconds
+    alignWordStreams(pdfWords, srtWords, onProgress = () => {}, srtIndex = this.buildNgramIndex(srtWords)) {
+        const n = pdfWords.length;
+        const mapping = new Int32Array(n).fill(-1);
+
+        if (n === 0 || srtWords.length === 0) return mapping;
+
+        const chain = this.findAnchorChain(pdfWords, srtIndex);
+        this.logger.log(`Found ${chain.length} shared n-grams to anchor the word alignment`);
+
+        const progressStep = Math.max(1, Math.floor(n / 100));
+        let nextProgress = progressStep;
+        let pdfFrom = 0;
+        let srtFrom = 0;
+
+        // The end of both streams closes the last gap
+        for (const [pdfTo, srtTo] of [...chain, [n, srtWords.length]]) {
+            const gap = this.alignWordRange(
+                pdfWords.slice(pdfFrom, pdfTo),
+                srtWords.slice(srtFrom, srtTo),
+                { freeStart: pdfFrom === 0, freeEnd: pdfTo === n },
+                rows => {
+                    while (pdfFrom + rows >= nextProgress) {
+                        onProgress(nextProgress, n);
+                        nextProgress += progressStep;
+                    }
+                }
+            );
 
-        for (const segment of segments) {
-            const duration = segment.endMs - segment.startMs;
+            gap.forEach((srtPosition, k) => {
+                if (srtPosition >= 0) mapping[pdfFrom + k] = srtFrom + srtPosition;
+            });
 
-            if (duration <= maxDuration) {
-                result.push(segment);
+            if (pdfTo < n) mapping[pdfTo] = srtTo;
+            pdfFrom = pdfTo + 1;
+            srtFrom = srtTo + 1;
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Align two word sequences edit-distance style
+     * Matches are free; substitutions, insertions and deletions cost 2, and
+     * a substitution by a sound-alike word (see phoneticKey) costs 1.
+     * With freeStart/freeEnd, VTT words before the first or after the last
+     * transcript word are free, so untranscribed chatter at either end of the
+     * recording is not penalized. The table is restricted to a band around
+     * the diagonal to bound memory.
+     * @param {Array} pdfWords - Cleaned words from the corrected transcript
+     * @param {Array} srtWords - Cleaned words from the VTT
+     * @param {Object} ends - {freeStart, freeEnd}
+     * @param {Function} onProgress - Called with the rows done about a hundred times
+     * @returns {Int32Array} - Aligned VTT word index for each transcript word, or -1
+     */
+    alignWordRange(pdfWords, srtWords, { freeStart = true, freeEnd = true } = {}, onProgress = () => {}) {
+        const n = pdfWords.length;
+        const m = srtWords.length;
+        const mapping = new Int32Array(n).fill(-1);
+
+        if (n === 0 || m === 0) return mapping;
+
+        const MIN_BAND = 500; // Words of drift allowed either side of the diagonal
+        const MAX_CELLS = 100000000; // Cap on the traceback table (bytes)
+        const band = Math.min(
+            Math.max(MIN_BAND, Math.abs(n - m) + MIN_BAND / 2),
+            Math.max(50, Math.floor(MAX_CELLS / (2 * n))),
+            Math.max(n, m) // Short gaps need no wider table than the gap itself
+        );
+        const width = 2 * band + 1;
+        const ratio = m / n;
+        const bandStart = i => Math.max(0, Math.round(i * ratio) - band);
+        const bandEnd = i => Math.min(m, Math.round(i * ratio) + band);
+
+        const INF = 0x3fffffff;
+        const OP_DIAG = 0; // Transcript word aligned to VTT word (match or substitution)
+        const OP_UP = 1; // Transcript word with no VTT counterpart (insertion)
+        const OP_LEFT = 2; // VTT word with no transcript counterpart (deletion)
+
+        const GAP = 2; // Insertion, deletion or substitution
+        const SOUND_ALIKE = 1; // Substitution by a word with the same phonetic key
+        const pdfKeys = pdfWords.map(word => this.phoneticKey(word));
+        const srtKeys = srtWords.map(word => this.phoneticKey(word));
+
+        const trace = new Uint8Array((n + 1) * width);
+        let prev = new Int32Array(m + 1).fill(INF);
+        let cur = new Int32Array(m + 1).fill(INF);
+
+        // Row 0: skipping leading VTT words is free, or costs one each
+        for (let j = bandStart(0); j <= bandEnd(0); j++) {
+            prev[j] = freeStart ? 0 : j * GAP;
+        }
+
+        const progressStep = Math.max(1, Math.floor(n / 100));
+
+        for (let i = 1; i <= n; i++) {
+            if (i % progressStep === 0) onProgress(i);
+
+            const lo = bandStart(i);
+            const hi = bandEnd(i);
+            const rowOffset = i * width - lo;
+            const word = pdfWords[i - 1];
+            const key = pdfKeys[i - 1];
+
+            for (let j = lo; j <= hi; j++) {
+                let best = prev[j] + GAP;
+                let op = OP_UP;
+
+                if (j > 0) {
+                    const cost = word === srtWords[j - 1] ? 0
+                        : key !== null && key === srtKeys[j - 1] ? SOUND_ALIKE
+                            : GAP;
+                    const diag = prev[j - 1] + cost;
+                    if (diag <= best) {
+                        best = diag;
+                        op = OP_DIAG;
+                    }
+                    const left = cur[j - 1] + GAP;
+                    if (left < best) {
+                        best = left;
+                        op = OP_LEFT;
+                    }
+                }
+
+                cur[j] = best;
+                trace[rowOffset + j] = op;
+            }
+
+            // Clear the previous row's band so the buffer can be reused
+            for (let j = bandStart(i - 1), end = bandEnd(i - 1); j <= end; j++) {
+                prev[j] = INF;
+            }
+            [prev, cur] = [cur, prev];
+        }
+
+        // Skipping trailing VTT words is free: end wherever the last row is cheapest
+        let j = freeEnd ? bandStart(n) : m;
+        for (let k = j + 1, end = bandEnd(n); k <= end; k++) {
+            if (prev[k] < prev[j]) j = k;
+        }
+
+        for (let i = n; i > 0;) {
+            const op = trace[i * width - bandStart(i) + j];
+            if (op === OP_DIAG) {
+                mapping[i - 1] = j - 1;
+                i--;
+                j--;
+            } else if (op === OP_UP) {
+                i--;
             } else {
-                // Calculate how many ~2-minute chunks we need
-                const numChunks = Math.ceil(duration / maxDuration);
+                j--;
+            }
+        }
 
-                // Split text into that many chunks
-                const textChunks = this.splitTextIntoEqualChunks(segment.text, numChunks);
+        return mapping;
+    }
 
-                // Assign 2 minutes (or remaining time) to each chunk
-                textChunks.forEach((chunkText, index) => {
-                    const startMs = segment.startMs + (index * maxDuration);
-                    const endMs = Math.min(startMs + maxDuration, segment.endMs);
+    /**
+     * Map every transcript word to a source cue
+     * Words the alignment left unpaired inherit the cue of the nearest
+     * preceding aligned word (or the following one at the very start).
+     * @param {Array} pdfTokens - Transcript word stream with srtWordIndex set
+     * @param {Array} srtWords - VTT word stream
+     * @returns {Map} - Segment index → {tokens, words}; words are {text, cueIndex, matched, startMs, endMs}
+     */
+    assignWordCues(pdfTokens, srtWords) {
+        let cueIndex = -1;
+        for (const token of pdfTokens) {
+            if (token.srtWordIndex >= 0) {
+                cueIndex = srtWords[token.srtWordIndex].cueIndex;
+            }
+            token.cueIndex = cueIndex;
+        }
 
-                    result.push({
-                        speaker: segment.speaker,
-                        text: chunkText,
-                        startTime: this.srtParser.msToTime(startMs),
-                        endTime: this.srtParser.msToTime(endMs),
-                        startMs,
-                        endMs
-                    });
-                });
+        let nextCueIndex = 0;
+        for (let k = pdfTokens.length - 1; k >= 0; k--) {
+            if (pdfTokens[k].srtWordIndex >= 0) {
+                nextCueIndex = srtWords[pdfTokens[k].srtWordIndex].cueIndex;
+            }
+            if (pdfTokens[k].cueIndex < 0) {
+                pdfTokens[k].cueIndex = nextCueIndex;
             }
         }
 
-        return result;
+        const bySegment = new Map();
+        for (const token of pdfTokens) {
+            if (!bySegment.has(token.segmentIndex)) {
+                bySegment.set(token.segmentIndex, { tokens: [], words: [] });
+            }
+            const entry = bySegment.get(token.segmentIndex);
+            if (token.word) {
+                entry.tokens.push(token);
+            }
+            const srtWord = token.srtWordIndex >= 0 ? srtWords[token.srtWordIndex] : null;
+
+            if (token.text === null) {
+                // A later word of the same unspaced text extends its timing
+                const word = entry.words[entry.words.length - 1];
+                if (srtWord) {
+                    if (word.startMs === null) word.startMs = srtWord.startMs;
+                    word.endMs = srtWord.endMs;
+                }
+                word.matched = word.matched || Boolean(token.matched);
+                continue;
+            }
+
+            entry.words.push({
+                text: token.text,
+                cueIndex: token.cueIndex,
+                matched: Boolean(token.matched),
+                startMs: srtWord ? srtWord.startMs : null,
+                endMs: srtWord ? srtWord.endMs : null
+            });
+        }
+
+        return bySegment;
     }
 
     /**
-     * Split text into N roughly equal chunks at sentence boundaries
-     * @param {string} text - Text to split
-     * @param {number} numChunks - Number of chunks to create
-     * @returns {Array} - Array of text chunks
+     * Estimate a start and end time for every word of a segment
+     * Aligned words keep the time of their VTT word; runs of unaligned words
+     * are spread across the gap between their neighbours by character length.
+     * Interpolated segments have no trustworthy word positions, so all of
+     * their words are spread evenly across the segment instead.
+     * @param {Array} words - Segment words ({text, startMs, endMs}, times null if unaligned)
+     * @param {number} startMs - Segment start
+     * @param {number} endMs - Segment end
+     * @param {boolean} useAligned - Whether to keep the aligned word times
+     * @returns {Array} - The same words with startMs/endMs filled in
      */
-    splitTextIntoEqualChunks(text, numChunks) {
-        // Split into sentences first
-        const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
+    estimateWordTimings(words, startMs, endMs, useAligned) {
+        const isFixed = word => useAligned && word.startMs !== null;
+        let k = 0;
+
+        while (k < words.length) {
+            const previousEnd = k > 0 ? words[k - 1].endMs : startMs;
+
+            if (isFixed(words[k])) {
+                // Keep aligned times monotonic and inside the segment
+                words[k].startMs = Math.min(Math.max(words[k].startMs, previousEnd), endMs);
+                words[k].endMs = Math.min(Math.max(words[k].endMs, words[k].startMs), endMs);
+                k++;
+                continue;
+            }
+
+            let r = k;
+            while (r < words.length && !isFixed(words[r])) r++;
+
+            const to = r < words.length
+                ? Math.min(Math.max(words[r].startMs, previousEnd), endMs)
+                : endMs;
+            const run = words.slice(k, r);
+            const totalChars = run.reduce((sum, word) => sum + word.text.length + 1, 0);
+            let offset = 0;
+
+            for (const word of run) {
+                word.startMs = Math.round(previousEnd + (to - previousEnd) * offset / totalChars);
+                offset += word.text.length + 1;
+                word.endMs = Math.round(previousEnd + (to - previousEnd) * offset / totalChars);
+            }
 
-        if (sentences.length <= numChunks) {
-            // Fewer sentences than chunks needed, split by words
-            return this.splitTextByWords(text, numChunks);
+            k = r;
         }
 
-        // Distribute sentences evenly across chunks
-        const chunks = [];
-        const sentencesPerChunk = Math.ceil(sentences.length / numChunks);
+        return words;
+    }
+
+    /**
+     * Find where the actual transcript starts in the PDF
+     * Skips front matter by finding the first segment whose word n-grams
+     * turn up in the VTT, wherever the recording they match
+     * @param {Array} pdfSegments - Speaker segments from PDF
+     * @param {Map} srtIndex - N-gram index of the VTT word stream
+     * @returns {number} - Index of first segment that's part of the actual transcript
+     */
+    findTranscriptStart(pdfSegments, srtIndex) {
+        const MIN_CONFIDENCE = 0.4; // Share of the segment's n-grams that must occur in the VTT
+        const SEARCH_LIMIT = Math.min(20, pdfSegments.length); // Check more segments
+
+        for (let i = 0; i < SEARCH_LIMIT; i++) {
+            const pdfSegment = pdfSegments[i];
+            const pdfWords = this.splitWords(pdfSegment.text);
+
+            // Skip very short segments (likely headers/titles/metadata)
+            if (pdfWords.length < 5) {
+                this.logger.log(`Skipping short segment ${i}: "${pdfSegment.text.substring(0, 50)}..."`);
+                continue;
+            }
+
+            const ngramCount = pdfWords.length - NGRAM_SIZE + 1;
+            let found = 0;
+            for (let k = 0; k < ngramCount; k++) {
+                if (srtIndex.has(this.ngramKey(pdfWords, k))) found++;
+            }
+            const confidence = found / ngramCount;
 
-        for (let i = 0; i < numChunks; i++) {
-            const start = i * sentencesPerChunk;
-            const end = Math.min(start + sentencesPerChunk, sentences.length);
-            const chunk = sentences.slice(start, end).join('').trim();
-            if (chunk) {
-                chunks.push(chunk);
+            if (confidence >= MIN_CONFIDENCE) {
+                this.logger.log(`Found transcript start at PDF segment ${i} (speaker: ${pdfSegment.speaker}) with confidence ${confidence.toFixed(2)}`);
+                return i;
+            } else {
+                this.logger.log(`Segment ${i} (speaker: ${pdfSegment.speaker}) confidence too low: ${confidence.toFixed(2)}`);
             }
         }
 
-        return chunks.length > 0 ? chunks : [text];
+        // If no good match found, assume transcript starts at beginning
+        this.logger.log('No front matter detected, starting from beginning');
+        return 0;
     }
 
     /**
-     * Split text into N chunks by word count
-     * @param {string} text - Text to split
-     * @param {number} numChunks - Number of chunks to create
-     * @returns {Array} - Array of text chunks
+     * Split segments longer than maxDurationMs into smaller ones
+     * Each piece starts at the time its first word was aligned in the source
+     * cues, so the text is timed where it is actually spoken. Breaks late in
+     * the allowed length win over early ones; among them a paragraph break is
+     * preferred, then a sentence end, then a clause, then any word.
+     * @param {Array} segments - Aligned segments
+     * @param {number} maxDurationMs - Longest segment kept whole (default: 2 minutes)
+     * @returns {Array} - Segments with long ones split
      */
-    splitTextByWords(text, numChunks) {
-        const words = text.split(/\s+/);
-        const wordsPerChunk = Math.ceil(words.length / numChunks);
-        const chunks = [];
+    splitLongSegments(segments, maxDurationMs = 120000) {
+        const result = [];
+
+        for (const segment of segments) {
+            if (segment.endMs - segment.startMs <= maxDurationMs) {
+                result.push(segment);
+                continue;
+            }
+
+            // Keep the whitespace before each word so paragraph breaks can be found and kept
+            const tokens = [...segment.text.trim().matchAll(/(\s*)(\S+)/g)].map(([, space, text]) => ({ space, text }));
+            const words = segment.words && segment.words.length === tokens.length
+                ? segment.words
+                : this.estimateWordTimings(tokens.map(token => ({ text: token.text, startMs: null, endMs: null })), segment.startMs, segment.endMs, false);
+
+            let start = 0;
+            let startMs = segment.startMs;
+
+            while (start < tokens.length) {
+                let end = tokens.length;
+
+                if (segment.endMs - startMs > maxDurationMs) {
+                    let bestScore = -1;
+                    end = start + 1;
+                    for (let k = start + 1; k < tokens.length && words[k].startMs - startMs <= maxDurationMs; k++) {
+                        const late = words[k].startMs - startMs >= maxDurationMs / 2;
+                        const score = (late ? 4 : 0) + this.breakRank(tokens[k - 1].text, tokens[k].space);
+                        if (score >= bestScore) {
+                            bestScore = score;
+                            end = k;
+                        }
+                    }
+                }
+
+                const endMs = end < tokens.length ? Math.max(startMs, words[end].startMs) : segment.endMs;
+                result.push({
+                    speaker: segment.speaker,
+                    text: tokens.slice(start, end).map((token, k) => (k === 0 ? '' : token.space) + token.text).join(''),
+                    startTime: this.srtParser.msToTime(startMs),
+                    endTime: this.srtParser.msToTime(endMs),
+                    startMs,
+                    endMs,
+                    words: words.slice(start, end)
+                });
 
-        for (let i = 0; i < numChunks; i++) {
-            const start = i * wordsPerChunk;
-            const end = Math.min(start + wordsPerChunk, words.length);
-            const chunk = words.slice(start, end).join(' ').trim();
-            if (chunk) {
-                chunks.push(chunk);
+                start = end;
+                startMs = endMs;
             }
         }
 
-        return chunks.length > 0 ? chunks : [text];
+        return result;
+    }
+
+    /**
+     * Rank a break between two words of a turn
+     * @param {string} previousWord - Word before the break
+     * @param {string} space - Whitespace between the words
+     * @returns {number} - 3 paragraph break, 2 sentence end, 1 clause, 0 other
+     */
+    breakRank(previousWord, space) {
+        if (space.includes('\n')) return 3;
+        if (/[.!?…。！？]["'”’)\]]*$/.test(previousWord)) return 2;
+        if (/[,;:，；：–—]["'”’)\]]*$|^--?$/.test(previousWord)) return 1;
+        return 0;
     }
 
     /**
@@ -386,8 +865,11 @@ class TextAligner {
                 currentSegment = { ...segment };
             } else {
                 // Same speaker, merge text and extend time
-                console.log(`  Merging consecutive ${segment.speaker} segment`);
+                this.logger.log(`  Merging consecutive ${segment.speaker} segment`);
                 currentSegment.text += ' ' + segment.text;
+                if (currentSegment.words && segment.words) {
+                    currentSegment.words = currentSegment.words.concat(segment.words);
+                }
                 currentSegment.endTime = segment.endTime;
                 currentSegment.endMs = segment.endMs;
                 mergeCount++;
@@ -399,135 +881,806 @@ class TextAligner {
             result.push(currentSegment);
         }
 
-        console.log(`  filterSpeakerChanges: merged ${mergeCount} segments (${segments.length} -> ${result.length})`);
+        this.logger.log(`  filterSpeakerChanges: merged ${mergeCount} segments (${segments.length} -> ${result.length})`);
 
         return result;
     }
 
     /**
      * Clean text for comparison
+     * Case is folded by lower-casing, NFKD and CASE_FOLDS ("STRASSE" matches
+     * "Straße", "ς" matches "σ"), accents are dropped ("Lodz" matches
+     * "Łódź") and curly apostrophes become straight ones.
+     * Hyphens and dashes separate words, so "well-known" matches "well known".
+     * Letters and numbers of every script are kept; other symbols are removed.
      * @param {string} text - Text to clean
      * @returns {string} - Cleaned text
      */
     cleanText(text) {
         return text
-            .replace(/\s+/g, ' ')
-            .replace(/[""]/g, '"')
-            .replace(/['']/g, "'")
-            .replace(/[^\w\s'"]/g, '')
             .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[ßς\u0345ᲀ-ᲈ]/g, letter => CASE_FOLDS[letter])
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[łøđħıæœ]/g, letter => LETTER_FOLDS[letter])
+            .normalize('NFC')
+            .replace(/[‘’‛`´]/g, "'")
+            .replace(/[-‐‑–—]+/g, ' ')
+            .replace(/[^\p{L}\p{N}\p{M}\s']/gu, '')
+            .replace(/(^|\s)'+|'+(?=\s|$)/g, '$1')
+            .replace(/\s+/g, ' ')
             .trim();
     }
 
+    /**
+     * Split text into cleaned words
+     * Contractions and numbers are written out (see expandWord). Runs of
+     * Chinese, Japanese, Thai and other scripts written without
+     * spaces are split with Intl.Segmenter, or into single characters where
+     * the platform has no segmenter.
+     * @param {string} text - Text to split
+     * @returns {Array} - Cleaned words
+     */
+    splitWords(text) {
+        const words = [];
+
+        for (const chunk of this.cleanText(text).split(' ')) {
+            if (!chunk) continue;
+
+            if (!UNSPACED_TEXT.test(chunk)) {
+                words.push(...this.expandWord(chunk));
+            } else if (this.wordSegmenter) {
+                for (const { segment, isWordLike } of this.wordSegmenter.segment(chunk)) {
+                    if (isWordLike) words.push(segment);
+                }
+            } else {
+                words.push(...chunk.match(UNSPACED_CHARACTERS));
+            }
+        }
+
+        return words;
+    }
+
+    /**
+     * Write a word the way the other side may have it
+     * Contractions become two words ("don't" → "do not") and numbers become
+     * number words ("1965" → "nineteen sixty five", "3rd" → "third").
+     * @param {string} word - Cleaned word
+     * @returns {Array} - One or more words
+     */
+    expandWord(word) {
+        if (CONTRACTIONS[word]) return CONTRACTIONS[word].split(' ');
+
+        for (const [ending, replacement] of CONTRACTION_ENDINGS) {
+            if (ending.test(word)) return word.replace(ending, replacement).split(' ');
+        }
+
+        const number = word.match(/^(\d+)(st|nd|rd|th)?$/);
+        if (!number || number[1].length > 9 || (number[1].length > 1 && number[1][0] === '0')) {
+            return [word];
+        }
+
+        const words = this.numberWords(Number(number[1]), !number[2]);
+        if (number[2]) {
+            const last = words.pop();
+            words.push(ORDINALS[last] || (last.endsWith('y') ? `${last.slice(0, -1)}ieth` : `${last}th`));
+        }
+        return words;
+    }
+
+    /**
+     * Spell out a number as it is usually spoken
+     * @param {number} n - Whole number below a billion
+     * @param {boolean} asYear - Read 1100-1999 as a year ("nineteen sixty five")
+     * @returns {Array} - Number words
+     */
+    numberWords(n, asYear = false) {
+        const belowHundred = k => (k < 20 ? [ONES[k]] : [TENS[Math.floor(k / 10)], ...(k % 10 ? [ONES[k % 10]] : [])]);
+
+        if (asYear && n >= 1100 && n <= 1999) {
+            const low = n % 100;
+            return [
+                ...belowHundred(Math.floor(n / 100)),
+                ...(low === 0 ? ['hundred'] : low < 10 ? ['oh', ONES[low]] : belowHundred(low))
+            ];
+        }
+
+        if (n < 100) return belowHundred(n);
+
+        const words = [];
+        for (const [size, name] of [[1000000, 'million'], [1000, 'thousand'], [100, 'hundred']]) {
+            if (n >= size) {
+                words.push(...this.numberWords(Math.floor(n / size)), name);
+                n %= size;
+            }
+        }
+        return n > 0 ? [...words, ...belowHundred(n)] : words;
+    }
+
+    /**
+     * Sound-alike key of a word (Soundex classes over the whole word)
+     * The first letter is coded too, so "Catherine" and "Kathryn" agree.
+     * @param {string} word - Cleaned word
+     * @returns {string|null} - Key, or null for words too short to compare by sound
+     */
+    phoneticKey(word) {
+        if (word.length < 4 || !/^[a-z']+$/.test(word)) return null;
+
+        let key = '';
+        let last = null;
+        for (const letter of word.replace(/ph/g, 'f').replace(/^kn|^wr/, match => match[1])) {
+            const code = SOUND_CLASSES[letter];
+            if (code === undefined) {
+                // Vowels separate repeated consonants; h and w do not
+                if (letter !== 'h' && letter !== 'w') last = null;
+                continue;
+            }
+            if (code !== last) key += code;
+            last = code;
+        }
+
+        return key.length >= 3 ? key : null;
+    }
+
+    /**
+     * Levenshtein distance between two words
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @returns {number} - Single-character edits to turn a into b
+     */
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (value, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * How well a transcript word matches the VTT word it was aligned with
+     * Misheard names and places get partial credit when they are spelled
+     * alike ("Kowalski" / "Kovalsky") or sound alike ("Schmidt" / "Smith").
+     * @param {string} a - Cleaned transcript word
+     * @param {string} b - Cleaned VTT word
+     * @returns {number} - 1 for the same word, down to 0 for unrelated words
+     */
+    wordSimilarity(a, b) {
+        const MIN_SPELLING = 0.6; // Share of letters that must survive the edits
+
+        if (a === b) return 1;
+
+        let score = 0;
+        if (Math.min(a.length, b.length) >= 3) {
+            const spelling = 1 - this.editDistance(a, b) / Math.max(a.length, b.length);
+            if (spelling >= MIN_SPELLING) score = spelling;
+        }
+
+        const key = this.phoneticKey(a);
+        if (key !== null && key === this.phoneticKey(b)) {
+            score = Math.max(score, 0.75);
+        }
+
+        return score;
+    }
+
+    /**
+     * Score every aligned transcript word against its VTT word
+     * Sets token.score (see wordSimilarity) and token.matched (exact match).
+     * A compound written as one word on one side and two on the other
+     * ("baseball" / "base ball") counts as a full match.
+     * @param {Array} tokens - Alignable transcript words with srtWordIndex set
+     * @param {Array} srtWords - VTT word stream
+     */
+    scoreAlignedWords(tokens, srtWords) {
+        const srtWord = j => (j >= 0 && j < srtWords.length ? srtWords[j].word : '');
+
+        tokens.forEach((token, k) => {
+            const j = token.srtWordIndex;
+            token.score = j >= 0 ? this.wordSimilarity(token.word, srtWord(j)) : 0;
+            if (token.score === 1 || j < 0) return;
+
+            if (token.word === srtWord(j) + srtWord(j + 1) || token.word === srtWord(j - 1) + srtWord(j)) {
+                token.score = 1;
+                return;
+            }
+
+            // Two transcript words against one VTT word; the other half may be unaligned
+            for (const other of [tokens[k - 1], tokens[k + 1]]) {
+                if (!other || (other.srtWordIndex >= 0 && other.srtWordIndex !== j)) continue;
+
+                const joined = other === tokens[k - 1] ? other.word + token.word : token.word + other.word;
+                if (joined === srtWord(j)) {
+                    token.score = 1;
+                    other.score = 1;
+                    other.srtWordIndex = j;
+                    break;
+                }
+            }
+        });
+
+        tokens.forEach(token => {
+            token.matched = token.score === 1 && token.srtWordIndex >= 0;
+        });
+    }
+
     /**
      * Interpolate timestamp for a segment between anchor points
+     * Segments between two anchors share the time between them in
+     * proportion to their word counts, so a long answer gets more time than
+     * a one-word "Yes." and each segment ends where the next begins. Before
+     * the first and after the last anchor, segments are timed at the speech
+     * rate of the anchored segments.
      * @param {number} pdfIndex - Index of PDF segment to interpolate
-     * @param {Array} anchors - Array of anchor points {pdfIndex, startMs, endMs}
+     * @param {Array} anchors - Array of anchor points {pdfIndex, startMs, endMs}, in order
      * @param {number} totalDurationMs - Total duration of VTT file
-     * @param {number} totalSegments - Total number of PDF segments
+     * @param {Array} wordCounts - Words in each segment, by segment index
      * @param {number} startIndex - Index where transcript starts
      * @returns {Object} - {startMs, endMs}
      */
-    interpolateTimestamp(pdfIndex, anchors, totalDurationMs, totalSegments, startIndex) {
-        if (anchors.length === 0) {
-            // No anchors at all - distribute evenly across total duration
-            const avgDuration = totalDurationMs / totalSegments;
-            const relativeIndex = pdfIndex - startIndex;
-            const startMs = Math.round(relativeIndex * avgDuration);
-            const endMs = Math.round(startMs + Math.min(3000, avgDuration * 0.8));
-            return { startMs, endMs };
-        }
+    interpolateTimestamp(pdfIndex, anchors, totalDurationMs, wordCounts, startIndex) {
+        const words = (from, to) => {
+            let sum = 0;
+            for (let k = from; k < to; k++) sum += Math.max(1, wordCounts[k] || 0);
+            return sum;
+        };
+
+        // Spread [fromMs, toMs] over segments from..to-1 by word count
+        const share = (from, to, fromMs, toMs) => {
+            const span = Math.max(0, toMs - fromMs);
+            const total = words(from, to);
+            const before = words(from, pdfIndex);
+            return {
+                startMs: Math.round(fromMs + span * before / total),
+                endMs: Math.round(fromMs + span * (before + words(pdfIndex, pdfIndex + 1)) / total)
+            };
+        };
 
-        // Find previous and next anchors
         let prevAnchor = null;
         let nextAnchor = null;
-
         for (const anchor of anchors) {
             if (anchor.pdfIndex < pdfIndex) {
                 prevAnchor = anchor;
-            } else if (anchor.pdfIndex > pdfIndex && !nextAnchor) {
+            } else if (anchor.pdfIndex > pdfIndex) {
                 nextAnchor = anchor;
                 break;
             }
         }
 
-        // Case 1: Between two anchors - linear interpolation
+        // No anchors at all: spread across the whole recording
+        if (!prevAnchor && !nextAnchor) {
+            return share(startIndex, wordCounts.length, 0, totalDurationMs);
+        }
+
+        // Between two anchors: fill the gap between them
         if (prevAnchor && nextAnchor) {
-            const segmentsBetween = nextAnchor.pdfIndex - prevAnchor.pdfIndex;
-            const position = pdfIndex - prevAnchor.pdfIndex;
-            const ratio = position / segmentsBetween;
+            return share(prevAnchor.pdfIndex + 1, nextAnchor.pdfIndex, prevAnchor.endMs, nextAnchor.startMs);
+        }
+
+        // Before the first or after the last anchor: speak at the anchored rate
+        const msPerWord = this.measureSpeechRate(anchors, wordCounts);
+
+        if (nextAnchor) {
+            const neededMs = words(startIndex, nextAnchor.pdfIndex) * msPerWord;
+            return share(startIndex, nextAnchor.pdfIndex, Math.max(0, nextAnchor.startMs - neededMs), nextAnchor.startMs);
+        }
+
+        // Stay inside the recording unless the last anchor is already past its end
+        const neededMs = words(prevAnchor.pdfIndex + 1, wordCounts.length) * msPerWord;
+        const endMs = prevAnchor.endMs < totalDurationMs
+            ? Math.min(totalDurationMs, prevAnchor.endMs + neededMs)
+            : prevAnchor.endMs + neededMs;
+        return share(prevAnchor.pdfIndex + 1, wordCounts.length, prevAnchor.endMs, endMs);
+    }
+
+    /**
+     * Measure how fast the interview is spoken where the alignment is known
+     * @param {Array} anchors - Anchor points {pdfIndex, startMs, endMs}
+     * @param {Array} wordCounts - Words in each segment, by segment index
+     * @returns {number} - Milliseconds per word
+     */
+    measureSpeechRate(anchors, wordCounts) {
+        const DEFAULT_MS_PER_WORD = 400; // About 150 words a minute
+
+        let durationMs = 0;
+        let words = 0;
+        for (const anchor of anchors) {
+            durationMs += Math.max(0, anchor.endMs - anchor.startMs);
+            words += Math.max(1, wordCounts[anchor.pdfIndex] || 0);
+        }
+
+        return durationMs > 0 && words > 0 ? durationMs / words : DEFAULT_MS_PER_WORD;
+    }
+
+    /**
+     * Make the timeline contiguous and monotonic
+     * No segment starts before the one ahead of it, and each segment ends
+     * where the next begins, so the output has neither gaps nor overlaps.
+     * Word times are kept inside their segment.
+     * @param {Array} segments - Timed segments in transcript order
+     * @returns {Array} - New segment array; segments already in place are shared
+     */
+    closeGaps(segments) {
+        const result = [];
+
+        segments.forEach((segment, index) => {
+            const previous = result[index - 1];
+            const startMs = previous ? Math.max(segment.startMs, previous.startMs) : segment.startMs;
+            const next = segments[index + 1];
+            const endMs = next ? Math.max(startMs, next.startMs) : Math.max(startMs, segment.endMs);
+
+            if (startMs === segment.startMs && endMs === segment.endMs) {
+                result.push(segment);
+                return;
+            }
+
+            const clamp = ms => Math.min(Math.max(ms, startMs), endMs);
+            result.push({
+                ...segment,
+                startMs,
+                endMs,
+                startTime: this.srtParser.msToTime(startMs),
+                endTime: this.srtParser.msToTime(endMs),
+                words: segment.words.map(word => ({ ...word, startMs: clamp(word.startMs), endMs: clamp(word.endMs) }))
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Create a pin that fixes a segment's start to a known time
+     * The pin keeps the speaker and opening words of the segment so it finds
+     * the same turn again after the transcript is edited and re-processed.
+     * @param {Array} segments - Segments returned by align
+     * @param {number} index - Index of the segment to pin
+     * @param {number} startMs - Known start time
+     * @returns {Object} - {segment, speaker, opening, startMs}
+     */
+    createPin(segments, index, startMs) {
+        return {
+            segment: index,
+            speaker: segments[index].speaker,
+            opening: this.getOpeningWords(segments[index].text),
+            startMs
+        };
+    }
+
+    /**
+     * Find the segment a pin belongs to
+     * Prefers the segment with the same speaker and opening words closest to
+     * where the pin was made.
+     * @param {Array} segments - Segments returned by align
+     * @param {Object} pin - Pin from createPin
+     * @returns {number} - Segment index, or -1 if the turn is gone
+     */
+    findPinnedSegment(segments, pin) {
+        let best = -1;
 
-            const timeDiff = nextAnchor.startMs - prevAnchor.endMs;
-            const startMs = Math.round(prevAnchor.endMs + (timeDiff * ratio));
-            const duration = Math.min(3000, timeDiff / segmentsBetween * 0.8); // Don't overlap
-            const endMs = Math.round(startMs + duration);
+        segments.forEach((segment, index) => {
+            if (segment.speaker !== pin.speaker || this.getOpeningWords(segment.text) !== pin.opening) return;
+            if (best < 0 || Math.abs(index - pin.segment) < Math.abs(best - pin.segment)) {
+                best = index;
+            }
+        });
+
+        return best;
+    }
+
+    getOpeningWords(text) {
+        return this.cleanText(text).split(' ').slice(0, 8).join(' ');
+    }
+
+    /**
+     * Apply manual pins as hard anchors
+     * A pin outside the recording, or out of order with a segment timed from
+     * a transcript timecode, service time or earlier pin, is not applied; its
+     * segment gets a warning in the report instead.
+     * @param {Array} segments - Segments returned by align
+     * @param {Array} pins - Pins from createPin
+     * @param {number} totalDurationMs - Duration of the timing file
+     * @returns {Array} - New segment array; untouched segments are shared
+     */
+    applyPins(segments, pins, totalDurationMs) {
+        const pinned = new Map();
+        const rejected = new Map();
+        const fixed = new Map();
+        segments.forEach((segment, index) => {
+            if (segment.source === 'timecode' || segment.source === 'hint') fixed.set(index, segment.startMs);
+        });
+
+        for (const pin of pins) {
+            const index = this.findPinnedSegment(segments, pin);
+            const time = pin.startMs < 0 ? `${pin.startMs} ms` : this.srtParser.msToTime(pin.startMs);
+            if (index < 0) {
+                this.logger.log(`  Pin at ${time} (${pin.speaker}: "${pin.opening}") no longer matches a segment, skipping`);
+                continue;
+            }
+
+            const conflict = [...fixed].find(([other, otherMs]) =>
+                other !== index && ((other < index && otherMs >= pin.startMs) || (other > index && otherMs <= pin.startMs)));
 
-            return { startMs, endMs };
+            if (pin.startMs < 0 || pin.startMs > totalDurationMs) {
+                rejected.set(index, `Pin at ${time} is outside the recording (00:00:00.000 to ${this.srtParser.msToTime(totalDurationMs)}); not applied`);
+            } else if (conflict) {
+                rejected.set(index, `Pin at ${time} is out of order with segment ${conflict[0] + 1} (${this.srtParser.msToTime(conflict[1])}); not applied`);
+            } else {
+                pinned.set(index, pin.startMs);
+                fixed.set(index, pin.startMs);
+            }
         }
 
-        // Case 2: Before first anchor - extrapolate backward
-        if (!prevAnchor && nextAnchor) {
-            const segmentsBefore = nextAnchor.pdfIndex - pdfIndex;
-            const timeAvailable = nextAnchor.startMs;
-            const avgDuration = timeAvailable / (nextAnchor.pdfIndex - startIndex);
-            const relativeIndex = pdfIndex - startIndex;
-            const startMs = Math.round(Math.max(0, relativeIndex * avgDuration));
-            const endMs = Math.round(startMs + Math.min(3000, avgDuration * 0.8));
+        if (pinned.size > 0) {
+            this.logger.log(`\n=== Applying ${pinned.size} pinned segments ===`);
+        }
 
-            return { startMs, endMs };
+        const result = this.applyHardAnchors(segments, pinned, 'pinned', totalDurationMs);
+        for (const [index, message] of rejected) {
+            this.logger.warn(`  Segment ${index + 1} (${result[index].speaker}): ${message}`);
+            result[index] = { ...result[index], warning: result[index].warning ? `${result[index].warning}; ${message}` : message };
         }
 
-        // Case 3: After last anchor - distribute remaining time
-        if (prevAnchor && !nextAnchor) {
-            const segmentsAfter = (startIndex + totalSegments - 1) - prevAnchor.pdfIndex;
-            const timeRemaining = totalDurationMs - prevAnchor.endMs;
-            const avgDuration = timeRemaining / segmentsAfter;
-            const position = pdfIndex - prevAnchor.pdfIndex;
-            const startMs = Math.round(prevAnchor.endMs + (position * avgDuration));
-            const endMs = Math.round(startMs + Math.min(3000, avgDuration * 0.8));
+        return this.closeGaps(result);
+    }
 
-            return { startMs, endMs };
+    /**
+     * Move segments to known start times and re-time their neighbourhood
+     * Moved segments keep their length (unless that would crowd out the
+     * segments up to the next anchor), automatic anchors that contradict a
+     * known time (or, for pins, run past it) are dropped, and only the segments between the anchors
+     * around each moved segment are re-interpolated. Segments already timed
+     * from a transcript timecode, service time or pin stay fixed.
+     * @param {Array} segments - Aligned segments
+     * @param {Map} startTimes - Segment index → known start in ms
+     * @param {string} source - Source recorded on moved segments ('pinned', 'timecode' or 'hint')
+     * @param {number} totalDurationMs - Duration of the timing file
+     * @returns {Array} - New segment array; untouched segments are shared
+     */
+    applyHardAnchors(segments, startTimes, source, totalDurationMs) {
+        const result = segments.slice();
+        if (startTimes.size === 0) return result;
+
+        for (const [index, startMs] of startTimes) {
+            const segment = segments[index];
+            const delta = startMs - segment.startMs;
+            result[index] = {
+                ...segment,
+                startMs,
+                endMs: segment.endMs + delta,
+                startTime: this.srtParser.msToTime(startMs),
+                endTime: this.srtParser.msToTime(segment.endMs + delta),
+                source,
+                words: segment.words.map(word => ({ ...word, startMs: word.startMs + delta, endMs: word.endMs + delta }))
+            };
         }
 
-        // Fallback (shouldn't reach here)
-        const avgDuration = totalDurationMs / totalSegments;
-        const relativeIndex = pdfIndex - startIndex;
-        const startMs = Math.round(relativeIndex * avgDuration);
-        const endMs = Math.round(startMs + 3000);
-        return { startMs, endMs };
+        // An automatic anchor on the wrong side of a known time was a false match
+        const known = [...startTimes.entries()];
+        const isHardAnchor = index => {
+            const segment = result[index];
+            if (startTimes.has(index) || ['pinned', 'timecode', 'hint'].includes(segment.source)) return true;
+            if (segment.source !== 'anchor') return false;
+
+            // A pin is the user's own timing, so it also beats an anchor that runs past it
+            const endMs = source === 'pinned' ? segment.endMs : segment.startMs;
+            return known.every(([knownIndex, startMs]) =>
+                (index < knownIndex && endMs <= startMs) ||
+                (index > knownIndex && segment.startMs >= startMs));
+        };
+
+        const anchorIndices = result.map((segment, index) => index).filter(isHardAnchor);
+        const wordCounts = result.map(segment => segment.words.length);
+
+        // A moved segment must leave room for the segments up to the next anchor
+        for (const knownIndex of startTimes.keys()) {
+            const segment = result[knownIndex];
+            const next = anchorIndices.find(index => index > knownIndex);
+            if (next === undefined || result[next].startMs <= segment.startMs) continue;
+
+            const share = Math.max(1, wordCounts[knownIndex]) /
+                wordCounts.slice(knownIndex, next).reduce((sum, count) => sum + Math.max(1, count), 0);
+            const endMs = Math.round(segment.startMs + (result[next].startMs - segment.startMs) * share);
+            if (endMs >= segment.endMs) continue;
+
+            const scale = (endMs - segment.startMs) / (segment.endMs - segment.startMs);
+            segment.words = segment.words.map(word => ({
+                ...word,
+                startMs: Math.round(segment.startMs + (word.startMs - segment.startMs) * scale),
+                endMs: Math.round(segment.startMs + (word.endMs - segment.startMs) * scale)
+            }));
+            segment.endMs = endMs;
+            segment.endTime = this.srtParser.msToTime(endMs);
+        }
+
+        const anchors = anchorIndices.map(index => ({
+            pdfIndex: index,
+            startMs: result[index].startMs,
+            endMs: result[index].endMs
+        }));
+
+        // Re-interpolate the stretch between the hard anchors around each moved segment
+        for (const knownIndex of startTimes.keys()) {
+            const position = anchorIndices.indexOf(knownIndex);
+            const from = position > 0 ? anchorIndices[position - 1] + 1 : 0;
+            const to = position + 1 < anchorIndices.length ? anchorIndices[position + 1] : result.length;
+
+            for (let i = from; i < to; i++) {
+                if (i === knownIndex) continue;
+
+                const segment = segments[i];
+                const interpolated = this.interpolateTimestamp(i, anchors, totalDurationMs, wordCounts, 0);
+                result[i] = {
+                    ...segment,
+                    startTime: this.srtParser.msToTime(interpolated.startMs),
+                    endTime: this.srtParser.msToTime(interpolated.endMs),
+                    startMs: interpolated.startMs,
+                    endMs: interpolated.endMs,
+                    source: 'interpolated',
+                    cueStart: null,
+                    cueEnd: null,
+                    words: this.estimateWordTimings(segment.words.map(word => ({ ...word })), interpolated.startMs, interpolated.endMs, false)
+                };
+            }
+        }
+
+        this.logger.log(`  Re-interpolated ${result.filter((segment, i) => segment !== segments[i] && segment.source === 'interpolated').length} segments around ${startTimes.size} ${source} segments`);
+        return result;
     }
 
     /**
      * Process segments according to user requirements
      * @param {Array} segments - Aligned segments
      * @param {Object} options - Processing options
+     * @param {number} options.maxTurnMs - Split turns longer than this (default 2 minutes)
      * @returns {Array} - Processed segments
      */
     processSegments(segments, options = {}) {
         let processed = segments;
 
-        console.log(`\n=== PROCESSING SEGMENTS ===`);
-        console.log(`Input segments: ${segments.length}`);
+        this.logger.log(`\n=== PROCESSING SEGMENTS ===`);
+        this.logger.log(`Input segments: ${segments.length}`);
 
         // Log first 10 segments to see speaker pattern
-        console.log('First 10 segment speakers:');
+        this.logger.log('First 10 segment speakers:');
         segments.slice(0, 10).forEach((seg, i) => {
-            console.log(`  ${i}: ${seg.speaker} (${this.formatDuration(seg.endMs - seg.startMs)})`);
+            this.logger.log(`  ${i}: ${seg.speaker} (${this.formatDuration(seg.endMs - seg.startMs)})`);
         });
 
         // First: Merge consecutive segments from the same speaker
         // This handles cases where alignment created multiple segments
         // for what should be a single speaker turn
         processed = this.filterSpeakerChanges(processed);
-        console.log(`After filterSpeakerChanges: ${processed.length} segments`);
+        this.logger.log(`After filterSpeakerChanges: ${processed.length} segments`);
 
-        // Second: Split any merged segments longer than 2 minutes
-        processed = this.splitLongSegments(processed);
-        console.log(`After splitLongSegments: ${processed.length} segments`);
+        // Second: Split any merged segments longer than the maximum
+        processed = this.splitLongSegments(processed, options.maxTurnMs);
+        this.logger.log(`After splitLongSegments: ${processed.length} segments`);
 
         return processed;
     }
 
+    /**
+     * Rename speakers using a label → name mapping
+     * Labels mapped to the same name become one speaker, so their
+     * consecutive turns merge in processSegments.
+     * @param {Array} segments - Segments with speaker labels from the transcript
+     * @param {Object} speakerMap - Transcript label → exported name
+     * @returns {Array} - Segments with mapped speaker names
+     */
+    renameSpeakers(segments, speakerMap = {}) {
+        return segments.map(segment => {
+            const name = speakerMap[segment.speaker];
+            return name ? { ...segment, speaker: name } : segment;
+        });
+    }
+
+    /**
+     * Re-chunk aligned segments into caption-ready display cues
+     * Each cue fits in maxLines lines of maxCharsPerLine characters and lasts
+     * between minDurationMs and maxDurationMs where the speech allows. Cues
+     * always break at speaker changes and otherwise prefer sentence ends,
+     * then clause punctuation, then the position before a conjunction.
+     * @param {Array} segments - Aligned segments with word timings
+     * @param {Object} options - Caption options
+     * @returns {Array} - Caption cues with pre-wrapped lines
+     */
+    buildCaptionCues(segments, options = {}) {
+        const {
+            maxCharsPerLine = 42,
+            maxLines = 2,
+            minDurationMs = 1000,
+            maxDurationMs = 7000
+        } = options;
+        const limits = { maxCharsPerLine, maxLines, maxDurationMs };
+        const cues = [];
+
+        this.logger.log(`\n=== BUILDING CAPTION CUES ===`);
+
+        for (const turn of this.filterSpeakerChanges(segments)) {
+            const words = turn.words || this.estimateWordTimings(
+                turn.text.split(/\s+/).filter(Boolean).map(text => ({ text, startMs: null, endMs: null })),
+                turn.startMs,
+                turn.endMs,
+                false
+            );
+
+            let start = 0;
+            while (start < words.length) {
+                // Label the first cue of each speaker turn
+                const prefix = start === 0 ? `${turn.speaker}: ` : '';
+                const end = this.findCaptionBreak(words, start, prefix, limits);
+                const cueWords = words.slice(start, end);
+                const text = prefix + cueWords.map(word => word.text).join(' ');
+
+                cues.push({
+                    speaker: turn.speaker,
+                    text,
+                    lines: this.srtParser.wrapCaptionLines(text, maxCharsPerLine, maxLines),
+                    startMs: cueWords[0].startMs,
+                    endMs: cueWords[cueWords.length - 1].endMs,
+                    words: cueWords
+                });
+
+                start = end;
+            }
+        }
+
+        // Keep cues in order, then stretch short cues into any following silence
+        cues.forEach((cue, index) => {
+            const previous = cues[index - 1];
+            const next = cues[index + 1];
+
+            if (previous && cue.startMs < previous.endMs) {
+                cue.startMs = previous.endMs;
+            }
+
+            let endMs = Math.max(cue.endMs, cue.startMs + minDurationMs);
+            endMs = Math.min(endMs, cue.startMs + maxDurationMs);
+            if (next) {
+                endMs = Math.min(endMs, Math.max(next.startMs, cue.startMs));
+            }
+
+            cue.endMs = endMs;
+            cue.startTime = this.srtParser.msToTime(cue.startMs);
+            cue.endTime = this.srtParser.msToTime(cue.endMs);
+        });
+
+        this.logger.log(`Built ${cues.length} caption cues from ${segments.length} segments`);
+
+        return cues;
+    }
+
+    /**
+     * Rebuild the original cues with corrected text, keeping their timing exactly
+     * Each source cue receives the corrected words aligned to it and keeps its
+     * identifier and cue settings. A speaker label is added only where the
+     * turn changes, on a new line if the change happens inside a cue.
+     * Cues with no corrected words (e.g. chatter the
+     * transcriber removed) are dropped.
+     * @param {Array} segments - Aligned segments with per-word cue indices
+     * @param {Array} srtSubtitles - Original parsed subtitles
+     * @returns {Array} - Cues with original times and corrected lines
+     */
+    buildPreservedCues(segments, srtSubtitles) {
+        const cues = [];
+        let currentCue = null;
+        let lastSpeaker = null;
+
+        this.logger.log(`\n=== REBUILDING ORIGINAL CUES ===`);
+
+        for (const segment of segments) {
+            for (const word of segment.words || []) {
+                const subtitle = srtSubtitles[word.cueIndex];
+                if (!subtitle) continue;
+
+                if (!currentCue || currentCue.cueIndex !== word.cueIndex) {
+                    currentCue = {
+                        cueIndex: word.cueIndex,
+                        identifier: subtitle.identifier || null,
+                        settings: subtitle.settings,
+                        speaker: segment.speaker,
+                        lines: [''],
+                        words: [],
+                        startTime: this.srtParser.msToTime(subtitle.startMs),
+                        endTime: this.srtParser.msToTime(subtitle.endMs),
+                        startMs: subtitle.startMs,
+                        endMs: subtitle.endMs
+                    };
+                    cues.push(currentCue);
+                }
+
+                const lineIndex = currentCue.lines.length - 1;
+                if (segment.speaker !== lastSpeaker) {
+                    // Speaker changes mid-cue start a new line
+                    if (currentCue.lines[lineIndex]) {
+                        currentCue.lines.push(`${segment.speaker}: ${word.text}`);
+                    } else {
+                        currentCue.lines[lineIndex] = `${segment.speaker}: ${word.text}`;
+                    }
+                    lastSpeaker = segment.speaker;
+                } else {
+                    currentCue.lines[lineIndex] += (currentCue.lines[lineIndex] ? ' ' : '') + word.text;
+                }
+
+                currentCue.words.push(word);
+            }
+        }
+
+        for (const cue of cues) {
+            cue.text = cue.lines.join(' ');
+        }
+
+        this.logger.log(`Rebuilt ${cues.length} of ${srtSubtitles.length} original cues (${srtSubtitles.length - cues.length} left without corrected text)`);
+
+        return cues;
+    }
+
+    /**
+     * Find where the caption cue starting at a given word should end
+     * @param {Array} words - Words of the speaker turn with timings
+     * @param {number} start - Index of the cue's first word
+     * @param {string} prefix - Speaker label written before the first word, if any
+     * @param {Object} limits - {maxCharsPerLine, maxLines, maxDurationMs}
+     * @returns {number} - Index one past the cue's last word
+     */
+    findCaptionBreak(words, start, prefix, limits) {
+        const candidates = [];
+        let lastFit = start + 1; // A cue always takes at least one word
+
+        for (let k = start + 1; k <= words.length; k++) {
+            const text = prefix + words.slice(start, k).map(word => word.text).join(' ');
+            const duration = words[k - 1].endMs - words[start].startMs;
+            const fits = this.srtParser.wrapCaptionLines(text, limits.maxCharsPerLine, limits.maxLines);
+
+            if (k > start + 1 && (!fits || duration > limits.maxDurationMs)) break;
+
+            lastFit = k;
+            const rank = this.captionBreakRank(words[k - 1], words[k]);
+            if (rank > 0) {
+                candidates.push({ end: k, rank });
+            }
+        }
+
+        if (lastFit === words.length) {
+            return lastFit;
+        }
+
+        // Take the strongest natural break that still leaves the cue at least half full
+        const minEnd = start + (lastFit - start) / 2;
+        let best = null;
+        for (const candidate of candidates) {
+            if (candidate.end >= minEnd && (!best || candidate.rank >= best.rank)) {
+                best = candidate;
+            }
+        }
+
+        return best ? best.end : lastFit;
+    }
+
+    /**
+     * Rate how natural a caption break between two words is
+     * @param {Object} word - Word before the break
+     * @param {Object} nextWord - Word after the break (may be undefined)
+     * @returns {number} - 3 sentence end, 2 clause punctuation, 1 before a conjunction, 0 none
+     */
+    captionBreakRank(word, nextWord) {
+        const CONJUNCTIONS = new Set(['and', 'but', 'or', 'so', 'because', 'that', 'which', 'who', 'when', 'where', 'while', 'if', 'then']);
+
+        if (/[.!?]["')\]]*$/.test(word.text)) return 3;
+        if (/([,;:]|--)["')\]]*$/.test(word.text)) return 2;
+        if (nextWord && CONJUNCTIONS.has(nextWord.text.toLowerCase())) return 1;
+        return 0;
+    }
+
     formatDuration(ms) {
         const seconds = Math.floor(ms / 1000);
         if (seconds < 60) return `${seconds}s`;
@@ -538,4 +1691,4 @@ class TextAligner {
 }
 
 // Export for use in other modules
-window.TextAligner = TextAligner;
+export { TextAligner };
@@ -1,52 +1,57 @@
 /**
- * PDF/TXT Parser Module
- * Extracts text from PDF or TXT files and identifies speaker segments
+ * PDF/DOCX/TXT Parser Module
+ * Extracts text from PDF, DOCX or TXT files and identifies speaker segments
  */
 
+import { silentLogger } from './logger.js';
+import { ZipReader } from './zip-reader.js';
+
+// Times as transcription services write them: MM:SS or HH:MM:SS, optionally with a fraction
+const CLOCK = '(?:\\d{1,2}:)?\\d{1,2}:\\d{2}(?:[.,]\\d{1,3})?';
+
+// Inline timecodes in a corrected transcript: "[00:15:32]" or "[00:15:32:10]" anywhere, and
+// "(15:32)" or a bare "00:15:32" only at the start of a line, where they cannot be a time of day in the text
+const INLINE_TIMECODE = '\\[\\s*((?:\\d{1,2}:)?\\d{1,2}:\\d{2}(?::\\d{2}|[.,]\\d{1,3})?)\\s*\\]' +
+    '|(?<![^\\n])[ \\t]*(?:\\(\\s*((?:\\d{1,2}:)?\\d{1,2}:\\d{2}(?::\\d{2}|[.,]\\d{1,3})?)\\s*\\)|(\\d{1,2}:\\d{2}:\\d{2}(?:[.,]\\d{1,3})?)\\b)';
+
+// A service's speaker name: up to five capitalised words or numbers ("Speaker 1", "Jane Doe")
+const SERVICE_NAME = "[\\p{Lu}\\p{N}][\\p{L}\\p{N}'’.-]*(?:[ \\t]+[\\p{Lu}\\p{N}][\\p{L}\\p{N}'’.-]*){0,4}";
+
+// Turn headers of transcription-service exports, capturing the speaker and start time
+const TRANSCRIPT_FORMATS = {
+    // Rev: "Speaker 1 (00:01:02):"
+    rev: new RegExp(`^[ \\t]*(?<speaker>${SERVICE_NAME})[ \\t]+\\((?<time>${CLOCK})\\)[ \\t]*:\\s*`, 'gmu'),
+    // Otter: "Jane Doe  1:02", the time alone after the name or on the line below
+    otter: new RegExp(`^[ \\t]*(?<speaker>${SERVICE_NAME})(?:[ \\t]+|[ \\t]*\\r?\\n[ \\t]*)(?<time>${CLOCK})[ \\t]*$\\s*`, 'gmu'),
+    // Trint: "Jane Doe [00:01:02]"
+    trint: new RegExp(`^[ \\t]*(?<speaker>${SERVICE_NAME})[ \\t]+\\[(?<time>${CLOCK})\\][ \\t]*:?\\s*`, 'gmu'),
+    // Descript: "[00:01:02] Jane Doe:"
+    descript: new RegExp(`^[ \\t]*\\[(?<time>${CLOCK})\\][ \\t]*(?<speaker>${SERVICE_NAME})[ \\t]*:\\s*`, 'gmu')
+};
+
 class PDFParser {
     /**
-     * Extract text from a PDF or TXT file
-     * @param {File} file - The PDF or TXT file
+     * @param {Object} options - Parser options
+     * @param {Object} options.logger - Receives progress messages (silent by default)
+     * @param {Object} options.pdfjsLib - pdf.js library (defaults to the global pdfjsLib in the page)
+     */
+    constructor(options = {}) {
+        this.logger = options.logger || silentLogger;
+        this.pdfjsLib = options.pdfjsLib || null;
+    }
+
+    /**
+     * Extract text from a PDF, DOCX or TXT file
+     * @param {File} file - The PDF, DOCX or TXT file
+     * @param {Object} options - Speaker label options (see buildSpeakerRegex)
      * @returns {Promise<Object>} - Extracted text and speaker segments
      */
-    async extractText(file) {
+    async extractText(file, options = {}) {
         try {
-            // Check file type
-            const fileName = file.name.toLowerCase();
-            const isTxt = fileName.endsWith('.txt');
-
-            let fullText = '';
-            let pages = [];
-
-            if (isTxt) {
-                // Handle plain text file
-                fullText = await file.text();
-                pages = [fullText]; // Treat entire file as one "page"
-                console.log('Extracted text from TXT file');
-            } else {
-                // Handle PDF file
-                const arrayBuffer = await file.arrayBuffer();
-                const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-
-                // Extract text from each page
-                for (let i = 1; i <= pdf.numPages; i++) {
-                    const page = await pdf.getPage(i);
-                    const textContent = await page.getTextContent();
-
-                    // Combine text items with proper spacing
-                    const pageText = textContent.items
-                        .map(item => item.str)
-                        .join(' ')
-                        .replace(/\s+/g, ' '); // Normalize whitespace
-
-                    pages.push(pageText);
-                    fullText += pageText + '\n';
-                }
-                console.log('Extracted text from PDF file');
-            }
+            const { fullText, pages, speakerLabels } = await this.readText(file);
 
-            // Parse speaker segments (same for both file types)
-            const segments = this.parseSpeakerSegments(fullText);
+            // Parse speaker segments (same for all file types)
+            const segments = this.parseSpeakerSegments(fullText, { speakerLabels, ...options });
 
             return {
                 fullText: fullText.trim(),
@@ -55,7 +60,7 @@ class PDFParser {
                 success: true
             };
         } catch (error) {
-            console.error('Error extracting text:', error);
+            this.logger.error('Error extracting text:', error);
             return {
                 success: false,
                 error: error.message
@@ -63,28 +68,567 @@ class PDFParser {
         }
     }
 
+    /**
+     * Read the raw text of a PDF, DOCX or TXT file
+     * @param {File} file - The PDF, DOCX or TXT file
+     * @returns {Promise<Object>} - {fullText, pages, speakerLabels}; speakerLabels are
+     *     names the document's formatting marks as speaker labels (bold in DOCX)
+     */
+    async readText(file) {
+        // Check file type
+        const fileName = file.name.toLowerCase();
+        const isTxt = fileName.endsWith('.txt');
+        const isDocx = fileName.endsWith('.docx');
+
+        let fullText = '';
+        let pages = [];
+        let speakerLabels = [];
+
+        if (isTxt) {
+            // Handle plain text file
+            fullText = await file.text();
+            pages = [fullText]; // Treat entire file as one "page"
+            this.logger.log('Extracted text from TXT file');
+        } else if (isDocx) {
+            ({ fullText, speakerLabels } = await this.readDocx(file));
+            pages = [fullText];
+            this.logger.log(`Extracted text from DOCX file${speakerLabels.length > 0 ? ` (bold speaker labels: ${speakerLabels.join(', ')})` : ''}`);
+        } else {
+            // Handle PDF file
+            const pdfjsLib = this.pdfjsLib || globalThis.pdfjsLib;
+            if (!pdfjsLib) {
+                throw new Error('Reading PDF files needs pdf.js');
+            }
+
+            const arrayBuffer = await file.arrayBuffer();
+            const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+
+            // Rebuild each page's lines from item positions
+            const pageLines = [];
+            for (let i = 1; i <= pdf.numPages; i++) {
+                const page = await pdf.getPage(i);
+                const textContent = await page.getTextContent();
+                pageLines.push(this.buildPageLines(textContent.items));
+            }
+
+            const bodyLines = this.removePageFurniture(pageLines);
+            pages = bodyLines.map(lines => lines.map(line => line.text).join('\n'));
+            fullText = this.joinPdfLines(bodyLines);
+            this.logger.log('Extracted text from PDF file');
+        }
+
+        return { fullText, pages, speakerLabels };
+    }
+
+    /**
+     * Rebuild a PDF page's lines from pdf.js text items
+     * Items on the same baseline form a line, read left to right. A space
+     * goes between two items only where the page shows a gap, so words the
+     * PDF split into several items (e.g. at a kerning or font change) stay whole.
+     * @param {Array} items - pdf.js text content items
+     * @returns {Array} - Lines top to bottom as {text, left, right, y, height}
+     */
+    buildPageLines(items) {
+        const lines = [];
+
+        for (const item of items) {
+            if (!item.str) continue; // End-of-line markers carry no text
+
+            const [, , c, d, x, y] = item.transform;
+            const height = item.height || Math.hypot(c, d) || 10;
+            let line = null;
+            for (let k = lines.length - 1; k >= 0 && !line; k--) {
+                if (Math.abs(lines[k].y - y) <= Math.min(lines[k].height, height) * 0.5) line = lines[k];
+            }
+
+            if (!line) {
+                line = { y, height, items: [] };
+                lines.push(line);
+            }
+            line.height = Math.max(line.height, height);
+            line.items.push({ str: item.str, x, right: x + (item.width || 0), height });
+        }
+
+        return lines
+            .sort((a, b) => b.y - a.y)
+            .map(line => {
+                line.items.sort((a, b) => a.x - b.x);
+
+                let text = '';
+                let end = null;
+                for (const item of line.items) {
+                    if (end !== null && item.x - end > item.height * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.str)) {
+                        text += ' ';
+                    }
+                    text += item.str;
+                    end = Math.max(end === null ? item.right : end, item.right);
+                }
+
+                return {
+                    text: text.replace(/\s+/g, ' ').trim(),
+                    left: line.items[0].x,
+                    right: end,
+                    y: line.y,
+                    height: line.height
+                };
+            })
+            .filter(line => line.text);
+    }
+
+    /**
+     * Drop running headers, footers and page numbers
+     * A line near the top or bottom of a page is furniture when the same
+     * text (ignoring numbers) sits near the top or bottom of at least half
+     * the pages, or when it is only a page number.
+     * @param {Array} pageLines - Lines of each page (see buildPageLines)
+     * @returns {Array} - Lines of each page without the furniture
+     */
+    removePageFurniture(pageLines) {
+        const EDGE_LINES = 2; // Lines at each end of a page that may be furniture
+        const pageNumber = /^(?:page\s+)?[-–—]?\s*\d+\s*[-–—]?(?:\s*(?:of|\/)\s*\d+)?$/i;
+        const key = line => line.text.toLowerCase().replace(/\d+/g, '#');
+        const isEdge = (lines, index) => index < EDGE_LINES || index >= lines.length - EDGE_LINES;
+
+        const pagesWithKey = new Map();
+        for (const lines of pageLines) {
+            const keys = new Set(lines.filter((line, index) => isEdge(lines, index)).map(key));
+            keys.forEach(k => pagesWithKey.set(k, (pagesWithKey.get(k) || 0) + 1));
+        }
+
+        const minPages = Math.max(2, Math.ceil(pageLines.length / 2));
+        let removed = 0;
+        const result = pageLines.map(lines => lines.filter((line, index) => {
+            const furniture = isEdge(lines, index) &&
+                (pageNumber.test(line.text) || (pagesWithKey.get(key(line)) || 0) >= minPages);
+            if (furniture) removed++;
+            return !furniture;
+        }));
+
+        if (removed > 0) {
+            this.logger.log(`Removed ${removed} header, footer and page number lines`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Join PDF lines into paragraphs, one per output line
+     * A paragraph ends at a larger vertical gap, an indented line, a change
+     * of font size, or a short line that ends a sentence. Words hyphenated
+     * across a line break are rejoined.
+     * @param {Array} pageLines - Lines of each page (see buildPageLines)
+     * @returns {string} - Text with a newline after each paragraph
+     */
+    joinPdfLines(pageLines) {
+        // Typical line spacing and right margin, from the body text
+        const gaps = [];
+        let margin = 0;
+        for (const lines of pageLines) {
+            lines.forEach((line, index) => {
+                if (index > 0) gaps.push(lines[index - 1].y - line.y);
+                margin = Math.max(margin, line.right);
+            });
+        }
+        gaps.sort((a, b) => a - b);
+        const lineGap = gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : 0;
+
+        const paragraphs = [];
+        let current = '';
+        let previous = null;
+
+        for (const lines of pageLines) {
+            lines.forEach((line, index) => {
+                let breaks = previous === null;
+
+                if (previous) {
+                    const samePage = index > 0;
+                    breaks = (samePage && lineGap > 0 && previous.y - line.y > lineGap * 1.4) ||
+                        line.left - previous.left > line.height ||
+                        Math.abs(line.height - previous.height) > previous.height * 0.2 ||
+                        (/[.!?:"”’)]$/.test(previous.text) && previous.right < margin * 0.85);
+                }
+
+                if (breaks) {
+                    if (current) paragraphs.push(current);
+                    current = line.text;
+                } else if (/\p{L}-$/u.test(current) && /^\p{Ll}/u.test(line.text)) {
+                    // "neigh-" + "bourhood": drop the hyphen the line break added
+                    current = current.slice(0, -1) + line.text;
+                } else {
+                    current += ' ' + line.text;
+                }
+                previous = line;
+            });
+        }
+        if (current) paragraphs.push(current);
+
+        return paragraphs.join('\n');
+    }
+
+    /**
+     * Read the body text of a Word document
+     * Only word/document.xml is read, so headers, footers, footnotes and
+     * comments (which Word stores in other parts) are left out.
+     * @param {File} file - The DOCX file
+     * @returns {Promise<Object>} - {fullText, speakerLabels}
+     */
+    async readDocx(file) {
+        const zip = new ZipReader(await file.arrayBuffer());
+        if (!zip.has('word/document.xml')) {
+            throw new Error('Not a Word document (word/document.xml is missing)');
+        }
+
+        return this.parseDocumentXml(await zip.readText('word/document.xml'));
+    }
+
+    /**
+     * Turn WordprocessingML into plain text, one line per paragraph
+     * A paragraph that opens with a bold "Name:" (the colon may follow the
+     * bold run) has that name recorded as a speaker label.
+     * @param {string} xml - Content of word/document.xml
+     * @returns {Object} - {fullText, speakerLabels}
+     */
+    parseDocumentXml(xml) {
+        const tagRegex = /<(\/?)([\w:]+)([^>]*?)(\/?)>|([^<]+)/g;
+        const paragraphs = [];
+        const speakerLabels = new Set();
+        let runs = null; // {text, bold} runs of the open paragraph
+        let bold = false;
+        let inText = false;
+        let skipDepth = 0;
+        let match;
+
+        while ((match = tagRegex.exec(xml)) !== null) {
+            const [, closing, tag, attributes, selfClosing, text] = match;
+
+            if (text !== undefined) {
+                if (inText && runs && skipDepth === 0) {
+                    runs.push({ text: this.decodeXml(text), bold });
+                }
+                continue;
+            }
+
+            // Text boxes float outside the running text (and nest paragraphs)
+            if (tag === 'w:txbxContent' && !selfClosing) {
+                skipDepth += closing ? -1 : 1;
+                continue;
+            }
+            if (skipDepth > 0) continue;
+
+            switch (tag) {
+                case 'w:p':
+                    if (closing || selfClosing) {
+                        paragraphs.push(this.joinParagraphRuns(runs || [], speakerLabels));
+                        runs = null;
+                    } else {
+                        runs = [];
+                    }
+                    break;
+                case 'w:r':
+                    if (!closing) bold = false;
+                    break;
+                case 'w:b':
+                    bold = !/w:val="(?:0|false|off)"/.test(attributes);
+                    break;
+                case 'w:t':
+                    inText = !closing && !selfClosing;
+                    break;
+                case 'w:tab':
+                    if (runs) runs.push({ text: '\t', bold });
+                    break;
+                case 'w:br':
+                case 'w:cr':
+                    if (runs) runs.push({ text: '\n', bold });
+                    break;
+                case 'w:noBreakHyphen':
+                    if (runs) runs.push({ text: '-', bold });
+                    break;
+            }
+        }
+
+        return {
+            fullText: paragraphs.join('\n'),
+            speakerLabels: [...speakerLabels]
+        };
+    }
+
+    /**
+     * Join a paragraph's runs, normalizing a bold speaker label to "Name: "
+     * @param {Array} runs - {text, bold} runs
+     * @param {Set} speakerLabels - Collects the bold labels found
+     * @returns {string} - Paragraph text
+     */
+    joinParagraphRuns(runs, speakerLabels) {
+        const MAX_LABEL_WORDS = 4;
+
+        // Leading bold runs (blank runs between them do not end the label)
+        let k = 0;
+        let boldText = '';
+        while (k < runs.length && (runs[k].bold || !runs[k].text.trim())) {
+            boldText += runs[k].text;
+            k++;
+        }
+
+        const text = runs.map(run => run.text).join('');
+        const rest = runs.slice(k).map(run => run.text).join('');
+        const label = boldText.match(/^\s*([^:：!?\n]+?)\s*([:：]?)\s*$/);
+
+        if (!label || !(label[2] || /^\s*[:：]/.test(rest)) || label[1].split(/\s+/).length > MAX_LABEL_WORDS) {
+            return text;
+        }
+
+        speakerLabels.add(label[1]);
+        return `${label[1]}: ${rest.replace(/^\s*[:：]?\s*/, '')}`;
+    }
+
+    /**
+     * Decode the XML entities Word writes in text
+     * @param {string} text - Escaped text
+     * @returns {string} - Plain text
+     */
+    decodeXml(text) {
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+        return text.replace(/&(?:#(\d+)|#x([\da-f]+)|(amp|lt|gt|quot|apos));/gi, (entity, decimal, hex, name) => {
+            if (decimal) return String.fromCodePoint(Number(decimal));
+            if (hex) return String.fromCodePoint(parseInt(hex, 16));
+            return named[name.toLowerCase()];
+        });
+    }
+
+    /**
+     * Build the regex that finds speaker labels ("Name:")
+     * With a roster, only the listed names count as labels, wherever they
+     * appear. Otherwise the label style decides, and ALL CAPS, Title Case
+     * and Q/A labels must start a line or follow the end of the previous
+     * turn, since those shapes are common in running text. Labels the document
+     * formatting marks (bold in DOCX) also start a turn at the start of a
+     * line, whatever the style.
+     * @param {Object} options - Label options
+     * @param {string} options.labelStyle - 'caps' (default), 'title', 'qa' or 'custom'
+     * @param {string} options.customPattern - Regex source for the name when labelStyle is 'custom'
+     * @param {Array} options.roster - Known speaker names
+     * @param {Array} options.speakerLabels - Names marked as labels by formatting (see readText)
+     * @returns {RegExp} - Global regex whose first or second group is the speaker name
+     */
+    buildSpeakerRegex(options = {}) {
+        const { roster = [], speakerLabels = [] } = options;
+        const names = roster.map(name => name.trim()).filter(Boolean);
+        const labels = speakerLabels.map(name => name.trim()).filter(Boolean);
+
+        if (names.length > 0) {
+            return new RegExp(`(?<![\\p{L}\\p{N}])(${this.namesPattern(names)})\\s*[:：]\\s*`, 'giu');
+        }
+
+        const styleRegex = this.buildLabelStyleRegex(options);
+        if (labels.length === 0) {
+            return styleRegex;
+        }
+
+        return new RegExp(`^[ \\t]*(${this.namesPattern(labels)})[ \\t]*[:：]\\s*|${styleRegex.source}`, 'gmu');
+    }
+
+    /**
+     * Build an alternation matching any of the names, longest first
+     * @param {Array} names - Speaker names
+     * @returns {string} - Regex source
+     */
+    namesPattern(names) {
+        return [...names]
+            .sort((a, b) => b.length - a.length)
+            .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'))
+            .join('|');
+    }
+
+    /**
+     * Build the regex for the chosen label style (see buildSpeakerRegex)
+     * @param {Object} options - Label options
+     * @returns {RegExp} - Global regex whose first group is the speaker name
+     */
+    buildLabelStyleRegex(options = {}) {
+        const { labelStyle = 'caps', customPattern = '' } = options;
+        const turnStart = `(?:^[ \\t]*|(?<=[.!?"'”’)\\]-][ \\t]+|[。！？]))`;
+        // A capitalised word, or a word in a script without case (e.g. "李明")
+        const titleWord = `(?:\\p{Lu}[\\p{Ll}\\p{M}'’-]+|\\p{Lo}[\\p{Lo}\\p{M}]*)`;
+
+        switch (labelStyle) {
+            case 'title':
+                return new RegExp(`${turnStart}(${titleWord}\\.?(?:[ \\t]+(?:${titleWord}\\.?|\\p{Lu}\\.)){0,3})[ \\t]*[:：]\\s*`, 'gmu');
+            case 'qa':
+                return new RegExp(`${turnStart}([QA]\\d*)[ \\t]*[:：]\\s*`, 'gmu');
+            case 'custom':
+                if (!customPattern.trim()) {
+                    throw new Error('Enter a custom speaker label pattern');
+                }
+                return new RegExp(`(${customPattern})\\s*[:：]\\s*`, 'gmu');
+            default:
+                // Match patterns like "Q1:", "SMITH:", "JANE DOE:" or "ŁUKASZ:"
+                return new RegExp(`${turnStart}(\\p{Lu}[\\p{Lu}\\p{M}\\p{N}'’.-]*[\\p{Lu}\\p{M}\\p{N}](?:[ \\t]+\\p{Lu}[\\p{Lu}\\p{M}\\p{N}'’.-]*[\\p{Lu}\\p{M}\\p{N}]){0,3})[ \\t]*[:：]\\s*`, 'gmu');
+        }
+    }
+
+    /**
+     * Recognise a transcription-service export by its turn headers
+     * A format is picked only when its headers start most of the turns, and
+     * not when the speaker labels already start every one of them (e.g.
+     * "[00:00:05] SMITH:", whose timecodes stay hard anchors).
+     * @param {string} text - The full transcript text
+     * @param {Object} options - Label options (see buildSpeakerRegex)
+     * @returns {string} - 'rev', 'otter', 'trint', 'descript', or 'labels' for plain "Name:" labels
+     */
+    detectFormat(text, options = {}) {
+        const labels = this.findSpeakerLabels(text, options);
+        let best = 'labels';
+        let bestCount = 1; // One header could be a coincidence
+
+        for (const [format, regex] of Object.entries(TRANSCRIPT_FORMATS)) {
+            const headers = [...text.matchAll(regex)];
+            const inHeader = label => headers.some(header => label.index >= header.index && label.index < header.index + header[0].length);
+            const labelled = labels.filter(inHeader).length;
+            const otherTurns = labels.length - labelled;
+
+            if (headers.length > bestCount && headers.length > otherTurns && labelled < headers.length) {
+                best = format;
+                bestCount = headers.length;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Split a transcription-service export into speaker segments
+     * The time in each turn header is kept as the segment's timeHint (ms),
+     * the service's own estimate of when the turn starts. Text before the
+     * first header is read with the speaker labels.
+     * @param {string} text - The full transcript text
+     * @param {string} format - Key of TRANSCRIPT_FORMATS
+     * @param {Object} options - Label options for text before the first header
+     * @returns {Array} - Speaker segments with timeHint
+     */
+    parseServiceSegments(text, format, options = {}) {
+        const headerRegex = TRANSCRIPT_FORMATS[format];
+        if (!headerRegex) {
+            throw new Error(`Unknown transcript format: ${format}`);
+        }
+
+        const headers = [...text.matchAll(headerRegex)];
+        const before = headers.length > 0 ? text.substring(0, headers[0].index) : text;
+
+        return [
+            ...this.parseLabelSegments(before, options),
+            ...headers.map((match, k) => ({
+                speaker: match.groups.speaker.replace(/\s+/g, ' '),
+                text: text.substring(match.index + match[0].length, k + 1 < headers.length ? headers[k + 1].index : text.length).trim(),
+                timeHint: this.timecodeToMs(match.groups.time)
+            }))
+        ].filter(segment => segment.text);
+    }
+
     /**
      * Parse text into speaker segments
-     * Looks for patterns like "Name:" or "Interviewer:" to identify speakers
+     * Exports from Rev, Otter, Trint and Descript are recognised by their
+     * turn headers; other transcripts are split at speaker labels such as
+     * "Name:" or "Interviewer:".
      * @param {string} text - The full text from PDF
+     * @param {Object} options - Label options (see buildSpeakerRegex)
+     * @param {string} options.transcriptFormat - 'auto' (default), 'labels', 'rev', 'otter', 'trint' or 'descript'
      * @returns {Array} - Array of speaker segments
      */
-    parseSpeakerSegments(text) {
+    parseSpeakerSegments(text, options = {}) {
+        const { transcriptFormat = 'auto' } = options;
+
+        // One form for accented letters, so "é" typed as e + accent still reads as a letter
+        text = text.normalize('NFC');
+
+        const format = transcriptFormat === 'auto' ? this.detectFormat(text, options) : transcriptFormat;
+
+        if (format !== 'labels') {
+            const segments = this.parseServiceSegments(text, format, options);
+            this.logger.log(`Read ${segments.length} turns in ${format} format`);
+            if (segments.length === 0) {
+                this.logger.warn(`No ${format} turn headers found in transcript`);
+            }
+            return this.extractTimecodes(segments);
+        }
+
+        const segments = this.parseLabelSegments(text, options);
+
+        // If no speaker segments found, return empty (front matter only)
+        if (segments.length === 0) {
+            this.logger.warn('No speaker segments found in PDF');
+        }
+
+        return this.extractTimecodes(segments);
+    }
+
+    /**
+     * Find the speaker labels that start turns
+     * A label after the end of a sentence in the middle of a line only counts
+     * when the same name also starts a line or labels another turn, so a
+     * one-off "NOTE:" or "USA:" in running text stays part of the text. Roster
+     * names count wherever they appear.
+     * @param {string} text - Transcript text
+     * @param {Object} options - Label options (see buildSpeakerRegex)
+     * @returns {Array} - Label matches in text order (see getLabelName)
+     */
+    findSpeakerLabels(text, options = {}) {
+        // Patterns that can match the empty string mark no label
+        const matches = [...text.matchAll(this.buildSpeakerRegex(options))].filter(match => match[0].length > 0);
+        if ((options.roster || []).some(name => name.trim())) {
+            return matches;
+        }
+
+        // Only whitespace or a timecode may come before a label on its line
+        const lineStart = new RegExp(`^[ \\t]*(?:${INLINE_TIMECODE})?[ \\t]*$`);
+        const startsLine = match => lineStart.test(text.substring(text.lastIndexOf('\n', match.index - 1) + 1, match.index));
+
+        const counts = new Map();
+        const lineNames = new Set();
+        for (const match of matches) {
+            const name = this.getLabelName(match);
+            counts.set(name, (counts.get(name) || 0) + 1);
+            if (startsLine(match)) lineNames.add(name);
+        }
+
+        return matches.filter(match => {
+            const name = this.getLabelName(match);
+            return lineNames.has(name) || counts.get(name) > 1;
+        });
+    }
+
+    /**
+     * @param {Array} match - Match from findSpeakerLabels
+     * @returns {string} - The label's speaker name with spaces tidied
+     */
+    getLabelName(match) {
+        return (match[1] || match[2]).replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Split text at speaker labels such as "Name:" or "Interviewer:"
+     * Text before the first label is front matter and is left out, except
+     * a timecode right before the label, which starts the first turn.
+     * @param {string} text - Transcript text
+     * @param {Object} options - Label options (see buildSpeakerRegex)
+     * @returns {Array} - Speaker segments, inline timecodes still in the text
+     */
+    parseLabelSegments(text, options = {}) {
         const segments = [];
 
-        // Split by speaker patterns using a regex that captures the full speaker turn
-        // Match patterns like "Q1:" or "FUCHS:" or other single-word caps followed by colon
-        const speakerRegex = /\b(Q\d+|FUCHS|[A-Z][A-Z]+)\s*:\s*/g;
+        // Roster matches are case-insensitive; report the roster spelling
+        const rosterNames = new Map(
+            (options.roster || []).map(name => [name.trim().replace(/\s+/g, ' ').toLowerCase(), name.trim()])
+        );
 
-        let lastIndex = 0;
-        let currentMatch;
         let previousSpeaker = null;
         let previousStart = 0;
+        let leadingTimecode = '';
 
-        while ((currentMatch = speakerRegex.exec(text)) !== null) {
-            const speaker = currentMatch[1];
+        for (const currentMatch of this.findSpeakerLabels(text, options)) {
+            const label = this.getLabelName(currentMatch);
+            const speaker = rosterNames.get(label.toLowerCase()) || label;
             const matchStart = currentMatch.index;
-            const matchEnd = speakerRegex.lastIndex;
+            const matchEnd = matchStart + currentMatch[0].length;
 
             // If we have a previous speaker, save their segment
             if (previousSpeaker) {
@@ -92,9 +636,12 @@ class PDFParser {
                 if (segmentText) {
                     segments.push({
                         speaker: previousSpeaker,
-                        text: segmentText
+                        text: segments.length === 0 ? `${leadingTimecode}${segmentText}` : segmentText
                     });
                 }
+            } else {
+                const leading = text.substring(0, matchStart).match(new RegExp(`(?:${INLINE_TIMECODE})\\s*$`));
+                leadingTimecode = leading ? `${leading[0].trim()} ` : '';
             }
 
             previousSpeaker = speaker;
@@ -107,17 +654,89 @@ class PDFParser {
             if (segmentText) {
                 segments.push({
                     speaker: previousSpeaker,
-                    text: segmentText
+                    text: segments.length === 0 ? `${leadingTimecode}${segmentText}` : segmentText
                 });
             }
         }
 
-        // If no speaker segments found, return empty (front matter only)
-        if (segments.length === 0) {
-            console.warn('No speaker segments found in PDF');
+        return segments;
+    }
+
+    /**
+     * Strip inline timecodes such as "[00:15:32]", or "(15:32)" or a bare
+     * "00:15:32" starting a turn or line, from segment text and keep them as
+     * {ms, wordIndex}
+     * A timecode at the very end of a segment stands before the next speaker
+     * label, so it belongs to the start of the next segment.
+     * @param {Array} segments - Speaker segments
+     * @returns {Array} - Segments with clean text and optional timecodes
+     */
+    extractTimecodes(segments) {
+        const timecodeRegex = new RegExp(INLINE_TIMECODE, 'g');
+        let carried = null;
+        let found = 0;
+
+        const result = segments.map(segment => {
+            const timecodes = carried === null ? [] : [{ ms: carried, wordIndex: 0 }];
+            carried = null;
+
+            let text = '';
+            let lastIndex = 0;
+            let match;
+            timecodeRegex.lastIndex = 0;
+
+            while ((match = timecodeRegex.exec(segment.text)) !== null) {
+                text += segment.text.substring(lastIndex, match.index);
+                lastIndex = timecodeRegex.lastIndex;
+                found++;
+
+                const ms = this.timecodeToMs(match[1] || match[2] || match[3]);
+                if (segment.text.substring(lastIndex).trim() === '') {
+                    carried = ms;
+                } else {
+                    timecodes.push({ ms, wordIndex: text.split(/\s+/).filter(Boolean).length });
+                }
+            }
+
+            if (lastIndex === 0 && timecodes.length === 0) return segment;
+
+            text = (text + segment.text.substring(lastIndex)).replace(/[ \t]{2,}/g, ' ').replace(/\n[ \t]+/g, '\n').trim();
+            return timecodes.length > 0 ? { ...segment, text, timecodes } : { ...segment, text };
+        }).filter(segment => segment.text);
+
+        if (found > 0) {
+            this.logger.log(`Found ${found} inline timecodes in transcript`);
         }
 
-        return segments;
+        return result;
+    }
+
+    /**
+     * Convert an inline timecode to milliseconds
+     * @param {string} timecode - MM:SS, HH:MM:SS, HH:MM:SS.mmm or HH:MM:SS:FF (frames are dropped)
+     * @returns {number} - Time in milliseconds
+     */
+    timecodeToMs(timecode) {
+        const [clock, fraction = ''] = timecode.split(/[.,]/);
+        const parts = clock.split(':').map(Number);
+        if (parts.length === 4) parts.pop();
+        if (parts.length === 2) parts.unshift(0);
+
+        const [hours, minutes, seconds] = parts;
+        return (hours * 3600000) + (minutes * 60000) + (seconds * 1000) + Number(fraction.padEnd(3, '0'));
+    }
+
+    /**
+     * Count speaker turns per speaker, in order of first appearance
+     * @param {Array} segments - Speaker segments
+     * @returns {Array} - Array of {speaker, turns}
+     */
+    summarizeSpeakers(segments) {
+        const counts = new Map();
+        for (const segment of segments) {
+            counts.set(segment.speaker, (counts.get(segment.speaker) || 0) + 1);
+        }
+        return [...counts].map(([speaker, turns]) => ({ speaker, turns }));
     }
 
     /**
@@ -128,11 +747,11 @@ class PDFParser {
     cleanText(text) {
         return text
             .replace(/\s+/g, ' ') // Normalize whitespace
-            .replace(/[""]/g, '"') // Normalize quotes
-            .replace(/['']/g, "'") // Normalize apostrophes
+            .replace(/[“”„]/g, '"') // Normalize quotes
+            .replace(/[‘’]/g, "'") // Normalize apostrophes
             .trim();
     }
 }
 
 // Export for use in other modules
-window.PDFParser = PDFParser;
+export { PDFParser };
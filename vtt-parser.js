@@ -1,22 +1,48 @@
 /**
  * VTT/SRT Parser Module
- * Parses VTT and SRT subtitle files and generates new VTT files
+ * Parses VTT, SRT and Whisper JSON timing files and generates new VTT or SRT files
  */
 
+import { silentLogger } from './logger.js';
+
 class SRTParser {
     /**
-     * Parse a VTT or SRT file into structured data
-     * @param {File} file - The VTT or SRT file
+     * @param {Object} options - Parser options
+     * @param {Object} options.logger - Receives progress messages (silent by default)
+     */
+    constructor(options = {}) {
+        this.logger = options.logger || silentLogger;
+    }
+
+    /**
+     * Parse a VTT, SRT or Whisper JSON file into structured data
+     * @param {File} file - The VTT, SRT or JSON file
      * @returns {Promise<Object>} - Parsed subtitle data
      */
     async parse(file) {
-        try {
-            const text = await file.text();
-
-            // Detect format (VTT starts with "WEBVTT")
-            const isVTT = text.trim().startsWith('WEBVTT');
+        return this.parseText(await file.text());
+    }
 
-            const subtitles = isVTT ? this.parseVTT(text) : this.parseSRT(text);
+    /**
+     * Parse VTT, SRT or Whisper JSON content into structured data
+     * @param {string} content - Timing file content
+     * @returns {Object} - {subtitles, fullText, success} or {success: false, error}
+     */
+    parseText(content) {
+        try {
+            // Normalize Windows line endings
+            const text = content.replace(/\r\n?/g, '\n');
+            const trimmed = text.trim();
+
+            // Detect format (VTT starts with "WEBVTT", JSON with a bracket)
+            let subtitles;
+            if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+                subtitles = this.parseWhisperJSON(trimmed);
+            } else if (/^WEBVTT(?:\s|$)/.test(trimmed)) {
+                subtitles = this.parseVTT(text);
+            } else {
+                subtitles = this.parseSRT(text);
+            }
 
             return {
                 subtitles,
@@ -24,7 +50,7 @@ class SRTParser {
                 success: true
             };
         } catch (error) {
-            console.error('Error parsing subtitle file:', error);
+            this.logger.error('Error parsing subtitle file:', error);
             return {
                 success: false,
                 error: error.message
@@ -34,12 +60,15 @@ class SRTParser {
 
     /**
      * Parse SRT text format into structured array
+     * Accepts single-digit hours and "." before the milliseconds, and removes
+     * formatting tags such as <i>, <font color="..."> and {\an8}. Times are
+     * stored in the same form parseVTT uses.
      * @param {string} srtText - Raw SRT text
      * @returns {Array} - Array of subtitle objects
      */
     parseSRT(srtText) {
         const subtitles = [];
-        const blocks = srtText.trim().split(/\n\s*\n/);
+        const blocks = srtText.replace(/^\uFEFF/, '').trim().split(/\n\s*\n/);
 
         for (const block of blocks) {
             const lines = block.trim().split('\n');
@@ -47,18 +76,22 @@ class SRTParser {
 
             const index = parseInt(lines[0]);
             const timeLine = lines[1];
-            const text = lines.slice(2).join(' ');
+            const text = lines.slice(2).join(' ')
+                .replace(/<[^>]*>|\{\\[^}]*\}/g, '')
+                .replace(/\s+/g, ' ');
 
             // Parse timestamp line (format: 00:00:00,000 --> 00:00:05,000)
-            const timeMatch = timeLine.match(/(\d{2}:\d{2}:\d{2},\d{3})\s*-->\s*(\d{2}:\d{2}:\d{2},\d{3})/);
+            const timeMatch = timeLine.match(/(\d{1,2}:\d{2}:\d{2}[,.]\d{1,3})\s*-->\s*(\d{1,2}:\d{2}:\d{2}[,.]\d{1,3})/);
 
             if (timeMatch) {
+                const startMs = this.timeToMs(timeMatch[1]);
+                const endMs = this.timeToMs(timeMatch[2]);
                 subtitles.push({
                     index,
-                    startTime: timeMatch[1],
-                    endTime: timeMatch[2],
-                    startMs: this.timeToMs(timeMatch[1]),
-                    endMs: this.timeToMs(timeMatch[2]),
+                    startTime: this.msToTime(startMs),
+                    endTime: this.msToTime(endMs),
+                    startMs,
+                    endMs,
                     text: text.trim()
                 });
             }
@@ -69,70 +102,283 @@ class SRTParser {
 
     /**
      * Parse VTT text format into structured array
+     * Follows the WebVTT spec: accepts a BOM, CRLF/CR line endings, header
+     * text after "WEBVTT", MM:SS.mmm timestamps and cue settings, and skips
+     * NOTE, STYLE and REGION blocks. Cue identifiers, settings and the first
+     * <v> voice name are kept; inline timestamp tags become word timings.
      * @param {string} vttText - Raw VTT text
      * @returns {Array} - Array of subtitle objects
      */
     parseVTT(vttText) {
         const subtitles = [];
-        // Remove WEBVTT header and any header metadata
-        const content = vttText.replace(/^WEBVTT.*?\n\n/s, '');
-        const blocks = content.trim().split(/\n\s*\n/);
+        const lines = vttText.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
 
-        let index = 1;
-        for (const block of blocks) {
-            const lines = block.trim().split('\n');
-            if (lines.length < 2) continue;
+        if (!/^WEBVTT(?:[ \t].*)?$/.test(lines[0])) {
+            throw new Error('Not a WebVTT file: missing "WEBVTT" header');
+        }
 
-            // VTT format: optional cue identifier, then timestamp line, then text
-            // Skip cue identifier if present (doesn't contain -->)
-            let timeLineIndex = 0;
-            if (!lines[0].includes('-->')) {
-                timeLineIndex = 1;
+        // Header metadata runs until the first blank line
+        let i = 1;
+        while (i < lines.length && lines[i].trim() !== '' && !lines[i].includes('-->')) i++;
+
+        let index = 1;
+        while (i < lines.length) {
+            // Collect the next block of non-blank lines
+            while (i < lines.length && lines[i].trim() === '') i++;
+            const block = [];
+            while (i < lines.length && lines[i].trim() !== '') block.push(lines[i++]);
+            if (block.length === 0) break;
+
+            // Comments, style sheets and region definitions carry no cues
+            if (/^(NOTE|STYLE|REGION)(?:[ \t]|$)/.test(block[0]) && !block[0].includes('-->')) continue;
+
+            // VTT format: optional cue identifier, then timing line, then payload
+            const timeLineIndex = block[0].includes('-->') ? 0 : 1;
+            const timing = this.parseVTTTiming(block[timeLineIndex] || '');
+            if (!timing) continue;
+
+            const payload = this.parseVTTPayload(block.slice(timeLineIndex + 1), timing.startMs, timing.endMs);
+            const subtitle = {
+                index: index++,
+                identifier: timeLineIndex === 1 ? block[0].trim() : null,
+                startTime: this.msToTime(timing.startMs),
+                endTime: this.msToTime(timing.endMs),
+                startMs: timing.startMs,
+                endMs: timing.endMs,
+                settings: timing.settings,
+                voice: payload.voice,
+                text: payload.text
+            };
+            if (payload.words) {
+                subtitle.words = payload.words;
             }
 
-            if (timeLineIndex >= lines.length) continue;
+            subtitles.push(subtitle);
+        }
 
-            const timeLine = lines[timeLineIndex];
-            const text = lines.slice(timeLineIndex + 1).join(' ');
+        return subtitles;
+    }
 
-            // Parse timestamp line (format: 00:00:00.000 --> 00:00:05.000)
-            const timeMatch = timeLine.match(/(\d{2}:\d{2}:\d{2}\.\d{3})\s*-->\s*(\d{2}:\d{2}:\d{2}\.\d{3})/);
+    /**
+     * Parse a VTT cue timing line with optional cue settings
+     * @param {string} line - e.g. "01:02.500 --> 01:04.000 align:start line:90%"
+     * @returns {Object|null} - {startMs, endMs, settings} or null if invalid
+     */
+    parseVTTTiming(line) {
+        const match = line.match(/^\s*(\S+)[ \t]+-->[ \t]+(\S+)(.*)$/);
+        if (!match) return null;
+
+        const startMs = this.vttTimeToMs(match[1]);
+        const endMs = this.vttTimeToMs(match[2]);
+        if (Number.isNaN(startMs) || Number.isNaN(endMs)) return null;
+
+        const settings = {};
+        for (const setting of match[3].trim().split(/[ \t]+/).filter(Boolean)) {
+            const separator = setting.indexOf(':');
+            if (separator > 0) {
+                settings[setting.slice(0, separator)] = setting.slice(separator + 1);
+            }
+        }
 
-            if (timeMatch) {
-                subtitles.push({
-                    index: index++,
-                    startTime: timeMatch[1],
-                    endTime: timeMatch[2],
-                    startMs: this.vttTimeToMs(timeMatch[1]),
-                    endMs: this.vttTimeToMs(timeMatch[2]),
-                    text: text.trim()
+        return { startMs, endMs, settings };
+    }
+
+    /**
+     * Parse a VTT cue payload into plain text, voice name and word timings
+     * Markup tags are removed and character references decoded. When the
+     * payload has inline timestamp tags (e.g. YouTube), each run of words is
+     * timed from its tag to the next one.
+     * @param {Array} payloadLines - Cue text lines
+     * @param {number} startMs - Cue start
+     * @param {number} endMs - Cue end
+     * @returns {Object} - {text, voice, words}; voice and words may be null
+     */
+    parseVTTPayload(payloadLines, startMs, endMs) {
+        const raw = payloadLines.join('\n');
+        const voiceMatch = raw.match(/<v(?:\.[^\s>]*)?[ \t]+([^>]+)>/);
+        const toText = markup => this.decodeEntities(markup.replace(/<[^>]*>/g, ''))
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        // Split on timestamp tags: [text, time, text, time, text, ...]
+        const parts = raw.split(/<((?:\d+:)?\d{2}:\d{2}\.\d{3})>/);
+        let words = null;
+
+        if (parts.length > 1) {
+            words = [];
+            for (let k = 0; k < parts.length; k += 2) {
+                const runStart = k === 0 ? startMs : this.vttTimeToMs(parts[k - 1]);
+                const runEnd = k + 1 < parts.length ? this.vttTimeToMs(parts[k + 1]) : endMs;
+                const runWords = toText(parts[k]).split(' ').filter(Boolean);
+                const step = (runEnd - runStart) / Math.max(runWords.length, 1);
+
+                runWords.forEach((text, n) => {
+                    words.push({
+                        text,
+                        startMs: Math.round(runStart + n * step),
+                        endMs: Math.round(runStart + (n + 1) * step)
+                    });
                 });
             }
         }
 
-        return subtitles;
+        return {
+            text: toText(raw),
+            voice: voiceMatch ? voiceMatch[1].trim() : null,
+            words: words && words.length > 0 ? words : null
+        };
+    }
+
+    /**
+     * Decode the HTML character references allowed in VTT cue text
+     * @param {string} text - Text with character references
+     * @returns {string} - Decoded text
+     */
+    decodeEntities(text) {
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', lrm: '', rlm: '' };
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            const key = name.toLowerCase();
+            return key in named ? named[key] : entity;
+        });
+    }
+
+    /**
+     * Parse Whisper-family JSON into the same structure as parseSRT/parseVTT
+     * Supports OpenAI Whisper / faster-whisper / WhisperX ("segments" with
+     * times in seconds, optionally with "words") and whisper.cpp ("transcription"
+     * with millisecond offsets, optionally with "tokens"). Word timings are kept
+     * on each subtitle as words: [{text, startMs, endMs}]; words the tool could
+     * not time have null times.
+     * @param {string} jsonText - Raw JSON text
+     * @returns {Array} - Array of subtitle objects
+     */
+    parseWhisperJSON(jsonText) {
+        const data = JSON.parse(jsonText);
+        let cues;
+
+        if (data && Array.isArray(data.transcription)) {
+            // whisper.cpp (-oj / -ojf)
+            cues = data.transcription.map(item => ({
+                startMs: item.offsets.from,
+                endMs: item.offsets.to,
+                text: item.text,
+                words: Array.isArray(item.tokens) ? this.mergeWhisperCppTokens(item.tokens) : null
+            }));
+        } else {
+            const segments = Array.isArray(data) ? data : data && data.segments;
+            if (!Array.isArray(segments)) {
+                throw new Error('Unrecognized JSON: expected Whisper "segments" or whisper.cpp "transcription"');
+            }
+
+            const toMs = seconds => (typeof seconds === 'number' ? Math.round(seconds * 1000) : null);
+            cues = segments.map(segment => ({
+                startMs: toMs(segment.start),
+                endMs: toMs(segment.end),
+                text: segment.text,
+                words: Array.isArray(segment.words)
+                    ? segment.words.map(word => ({
+                        text: String(word.word !== undefined ? word.word : word.text).trim(),
+                        startMs: toMs(word.start),
+                        endMs: toMs(word.end)
+                    }))
+                    : null
+            }));
+
+            // OpenAI API verbose_json keeps word timings in a top-level list
+            if (Array.isArray(data.words) && cues.every(cue => !cue.words)) {
+                for (const word of data.words) {
+                    const startMs = toMs(word.start);
+                    const cue = cues.find(c => startMs >= c.startMs && startMs < c.endMs) || cues[cues.length - 1];
+                    if (!cue) continue;
+                    cue.words = cue.words || [];
+                    cue.words.push({ text: String(word.word).trim(), startMs, endMs: toMs(word.end) });
+                }
+            }
+        }
+
+        return cues
+            .filter(cue => cue.startMs !== null && cue.endMs !== null && cue.text && cue.text.trim())
+            .map((cue, i) => {
+                const subtitle = {
+                    index: i + 1,
+                    startTime: this.msToTime(cue.startMs),
+                    endTime: this.msToTime(cue.endMs),
+                    startMs: cue.startMs,
+                    endMs: cue.endMs,
+                    text: cue.text.trim()
+                };
+                const words = (cue.words || []).filter(word => word.text);
+                if (words.length > 0) {
+                    subtitle.words = words;
+                }
+                return subtitle;
+            });
+    }
+
+    /**
+     * Merge whisper.cpp sub-word tokens into timed words
+     * A token starting with a space begins a new word; special tokens such
+     * as [_BEG_] or [_TT_150] are skipped.
+     * @param {Array} tokens - whisper.cpp tokens with text and offsets
+     * @returns {Array} - Array of {text, startMs, endMs}
+     */
+    mergeWhisperCppTokens(tokens) {
+        const words = [];
+
+        for (const token of tokens) {
+            if (!token.text || /^\[_.*\]$|^<\|.*\|>$/.test(token.text) || !token.offsets) continue;
+
+            const current = words[words.length - 1];
+            if (!current || /^\s/.test(token.text)) {
+                words.push({ text: token.text.trim(), startMs: token.offsets.from, endMs: token.offsets.to });
+            } else {
+                current.text += token.text;
+                current.endMs = token.offsets.to;
+            }
+        }
+
+        return words.filter(word => word.text);
     }
 
     /**
      * Convert SRT timestamp to milliseconds
-     * @param {string} time - Time in format HH:MM:SS,mmm
+     * @param {string} time - Time in format HH:MM:SS,mmm (H:MM:SS and .mmm also accepted)
      * @returns {number} - Time in milliseconds
      */
     timeToMs(time) {
-        const [hms, ms] = time.split(',');
+        const [hms, ms] = time.split(/[,.]/);
         const [hours, minutes, seconds] = hms.split(':').map(Number);
-        return (hours * 3600000) + (minutes * 60000) + (seconds * 1000) + Number(ms);
+        return (hours * 3600000) + (minutes * 60000) + (seconds * 1000) + Number(ms.padEnd(3, '0'));
     }
 
     /**
      * Convert VTT timestamp to milliseconds
-     * @param {string} time - Time in format HH:MM:SS.mmm
-     * @returns {number} - Time in milliseconds
+     * @param {string} time - Time in format HH:MM:SS.mmm or MM:SS.mmm
+     * @returns {number} - Time in milliseconds (NaN if malformed)
      */
     vttTimeToMs(time) {
-        const [hms, ms] = time.split('.');
-        const [hours, minutes, seconds] = hms.split(':').map(Number);
-        return (hours * 3600000) + (minutes * 60000) + (seconds * 1000) + Number(ms);
+        const match = time.match(/^(?:(\d+):)?([0-5]\d):([0-5]\d)\.(\d{3})$/);
+        if (!match) return NaN;
+
+        const [, hours = '0', minutes, seconds, ms] = match;
+        return (Number(hours) * 3600000) + (Number(minutes) * 60000) + (Number(seconds) * 1000) + Number(ms);
+    }
+
+    /**
+     * Convert a clock time typed by a person to milliseconds
+     * @param {string} time - H:MM:SS or MM:SS, optionally with a fraction ("00:42:10", "42:10.5")
+     * @returns {number} - Time in milliseconds (NaN if malformed)
+     */
+    clockTimeToMs(time) {
+        const match = String(time).trim().match(/^(?:(\d+):)?([0-5]?\d):([0-5]\d)(?:[.,](\d{1,3}))?$/);
+        if (!match) return NaN;
+
+        const [, hours = '0', minutes, seconds, fraction = ''] = match;
+        return (Number(hours) * 3600000) + (Number(minutes) * 60000) + (Number(seconds) * 1000) + Number(fraction.padEnd(3, '0'));
     }
 
     /**
@@ -149,6 +395,15 @@ class SRTParser {
         return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(milliseconds).padStart(3, '0')}`;
     }
 
+    /**
+     * Convert milliseconds to SRT timestamp format
+     * @param {number} ms - Time in milliseconds
+     * @returns {string} - Time in format HH:MM:SS,mmm
+     */
+    msToSrtTime(ms) {
+        return this.msToTime(ms).replace('.', ',');
+    }
+
     /**
      * Extract full text from subtitle array (without timestamps)
      * @param {Array} subtitles - Array of subtitle objects
@@ -160,23 +415,109 @@ class SRTParser {
 
     /**
      * Generate VTT file content from segments
-     * @param {Array} segments - Array of segments with text, startTime, endTime
+     * @param {Array} segments - Array of segments with text, startTime, endTime (and optional lines)
+     * @param {Object} options - Output options
+     * @param {string} options.inlineTimestamps - 'none' (default), 'word' or 'phrase'
      * @returns {string} - VTT formatted text
      */
-    generate(segments) {
+    generate(segments, options = {}) {
+        const inlineTimestamps = options.inlineTimestamps || 'none';
         let vttContent = 'WEBVTT\n\n';
 
         segments.forEach((segment, index) => {
-            vttContent += `${segment.startTime} --> ${segment.endTime}\n`;
-
-            // Format the text with proper speaker label formatting
-            const formattedText = this.formatSpeakerLabel(segment.speaker, segment.text);
-            vttContent += `${formattedText}\n\n`;
+            // Cue identifiers and settings survive when original cues are kept
+            if (segment.identifier) {
+                vttContent += `${segment.identifier}\n`;
+            }
+            const settings = Object.entries(segment.settings || {})
+                .map(([name, value]) => ` ${name}:${value}`)
+                .join('');
+            vttContent += `${segment.startTime} --> ${segment.endTime}${settings}\n`;
+            vttContent += `${this.formatCueText(segment, inlineTimestamps)}\n\n`;
         });
 
         return vttContent.trim();
     }
 
+    /**
+     * Generate SRT file content from segments
+     * SRT has no inline timestamps, so cues carry turn-level timing only.
+     * @param {Array} segments - Array of segments with text, startMs, endMs (and optional lines)
+     * @returns {string} - SRT formatted text
+     */
+    generateSRT(segments) {
+        let srtContent = '';
+
+        segments.forEach((segment, index) => {
+            srtContent += `${index + 1}\n`;
+            srtContent += `${this.msToSrtTime(segment.startMs)} --> ${this.msToSrtTime(segment.endMs)}\n`;
+            srtContent += `${this.formatCueText(segment, 'none')}\n\n`;
+        });
+
+        return srtContent.trim() + '\n';
+    }
+
+    /**
+     * Format the text of one output cue
+     * Pre-wrapped caption lines are written as they are; otherwise the text
+     * gets proper speaker label formatting.
+     * @param {Object} segment - Segment with speaker, text and optional lines/words
+     * @param {string} inlineTimestamps - 'none', 'word' or 'phrase'
+     * @returns {string} - Cue text
+     */
+    formatCueText(segment, inlineTimestamps) {
+        if (segment.lines) {
+            return segment.lines.join('\n');
+        }
+
+        if (inlineTimestamps !== 'none' && segment.words) {
+            return this.formatTimedText(segment, inlineTimestamps);
+        }
+
+        return this.formatSpeakerLabel(segment.speaker, segment.text);
+    }
+
+    /**
+     * Format text with speaker label and WebVTT inline timestamp tags
+     * A tag (e.g. <00:01:02.345>) is written before each word or phrase whose
+     * estimated time lies strictly inside the cue and after the previous tag,
+     * as the WebVTT spec requires.
+     * @param {Object} segment - Segment with speaker, words, startMs, endMs
+     * @param {string} mode - 'word' or 'phrase'
+     * @returns {string} - Formatted text with timestamp tags
+     */
+    formatTimedText(segment, mode) {
+        const groups = [];
+
+        for (const word of segment.words) {
+            const current = groups[groups.length - 1];
+            const isPunctuation = !/[\p{L}\p{N}]/u.test(word.text);
+            const previousText = current ? current.words[current.words.length - 1].text : '';
+            const startsGroup = !current || (!isPunctuation &&
+                (mode === 'word' || /[.,;:!?]["')\]]*$/.test(previousText)));
+
+            if (startsGroup) {
+                groups.push({ startMs: word.startMs, words: [word] });
+            } else {
+                current.words.push(word);
+            }
+        }
+
+        let lastTagMs = segment.startMs;
+        const parts = groups.map((group, index) => {
+            const text = this.fixSpacing(group.words.map(word => word.text).join(' '));
+
+            if (index === 0 || group.startMs <= lastTagMs || group.startMs >= segment.endMs) {
+                return text;
+            }
+
+            lastTagMs = group.startMs;
+            return `<${this.msToTime(group.startMs)}>${text}`;
+        });
+
+        return `${segment.speaker}: ${parts.join(' ')}`;
+    }
+
     /**
      * Format text with speaker label
      * @param {string} speaker - Speaker name
@@ -184,15 +525,13 @@ class SRTParser {
      * @returns {string} - Properly formatted text
      */
     formatSpeakerLabel(speaker, text) {
-        // Remove any existing speaker label from the beginning of text
-        // Pattern matches "Name:" or "NAME:" at start, possibly with extra spaces
-        const speakerPattern = new RegExp(`^${speaker}\\s*:\\s*`, 'i');
+        // Remove this speaker's own label if the text still starts with it;
+        // other "Word:" openings are part of what was said
+        const escapedSpeaker = speaker.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const speakerPattern = new RegExp(`^${escapedSpeaker}\\s*[:：]\\s*`, 'i');
         let cleanText = text.replace(speakerPattern, '').trim();
 
-        // Also try to match any speaker label pattern at the start
-        cleanText = cleanText.replace(/^[A-Z][A-Za-z\s\.]*?\s*:\s*/, '').trim();
-
-        // Fix spacing issues from PDF extraction
+        // Tidy spacing around punctuation
         cleanText = this.fixSpacing(cleanText);
 
         // Return speaker label (no space before colon) followed by space and text on same line
@@ -200,20 +539,14 @@ class SRTParser {
     }
 
     /**
-     * Fix spacing issues from PDF extraction
+     * Tidy spacing around punctuation and dashes
+     * Words are never joined here: the transcript parser rebuilds PDF words
+     * from their positions, so a space between letters is a real word break.
      * @param {string} text - Text with spacing problems
      * @returns {string} - Text with corrected spacing
      */
     fixSpacing(text) {
         return text
-            // Fix spaces within words for capital letters - but NOT for standalone "I" or "A"
-            // Match: capital letter (except I and A) + space + lowercase letters
-            .replace(/\b([B-HJ-Z])\s+([a-z])/g, '$1$2')
-            // Fix lowercase letter + space + lowercase, but NOT:
-            // - for standalone "a" or "i"
-            // - after apostrophes (contractions like "I'm sorry" should stay separate)
-            // Match: lowercase (except a, i) + space + lowercase letters (2+), NOT after apostrophe
-            .replace(/(?<!')\b([b-hj-z])\s+([a-z]{2,})/g, '$1$2')
             // Fix spaces around em dash
             .replace(/\s+--\s+/g, '--')
             .replace(/\s+--/g, '--')
@@ -231,50 +564,51 @@ class SRTParser {
     }
 
     /**
-     * Split a long text segment into smaller chunks at sentence boundaries
-     * @param {string} text - Text to split
-     * @param {number} maxLength - Maximum length per chunk
-     * @returns {Array} - Array of text chunks
+     * Wrap caption text into at most maxLines lines of maxCharsPerLine characters
+     * Two-line captions are balanced so both lines have similar length,
+     * preferring to break after punctuation.
+     * @param {string} text - Caption text
+     * @param {number} maxCharsPerLine - Maximum characters per line
+     * @param {number} maxLines - Maximum number of lines
+     * @returns {Array|null} - Array of lines, or null if the text does not fit
      */
-    splitTextIntoChunks(text, maxLength = 200) {
-        const chunks = [];
-        const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
-
-        let currentChunk = '';
-
-        for (const sentence of sentences) {
-            if ((currentChunk + sentence).length > maxLength && currentChunk) {
-                chunks.push(currentChunk.trim());
-                currentChunk = sentence;
+    wrapCaptionLines(text, maxCharsPerLine = 42, maxLines = 2) {
+        const words = text.split(/\s+/).filter(Boolean);
+        const lines = [];
+
+        // Greedy fill tells us whether the text fits at all
+        for (const word of words) {
+            const current = lines[lines.length - 1];
+            if (current !== undefined && (current + ' ' + word).length <= maxCharsPerLine) {
+                lines[lines.length - 1] = current + ' ' + word;
             } else {
-                currentChunk += sentence;
+                lines.push(word);
             }
         }
 
-        if (currentChunk) {
-            chunks.push(currentChunk.trim());
+        if (lines.length > maxLines || lines.some(line => line.length > maxCharsPerLine)) {
+            return words.length === 1 ? [text.trim()] : null;
         }
 
-        // If no chunks created, split by words
-        if (chunks.length === 0) {
-            const words = text.split(' ');
-            currentChunk = '';
-
-            for (const word of words) {
-                if ((currentChunk + ' ' + word).length > maxLength && currentChunk) {
-                    chunks.push(currentChunk.trim());
-                    currentChunk = word;
-                } else {
-                    currentChunk += (currentChunk ? ' ' : '') + word;
-                }
-            }
+        if (lines.length !== 2) {
+            return lines;
+        }
 
-            if (currentChunk) {
-                chunks.push(currentChunk.trim());
+        // Balance two lines, preferring a break after punctuation
+        let best = null;
+        for (let k = 1; k < words.length; k++) {
+            const first = words.slice(0, k).join(' ');
+            const second = words.slice(k).join(' ');
+            if (first.length > maxCharsPerLine || second.length > maxCharsPerLine) continue;
+
+            const punctuationBonus = /[.,;:!?]["')\]]*$/.test(words[k - 1]) ? 6 : 0;
+            const score = Math.max(first.length, second.length) - punctuationBonus;
+            if (!best || score < best.score) {
+                best = { score, lines: [first, second] };
             }
         }
 
-        return chunks.length > 0 ? chunks : [text];
+        return best ? best.lines : lines;
     }
 
     /**
@@ -285,12 +619,12 @@ class SRTParser {
     cleanText(text) {
         return text
             .replace(/\s+/g, ' ')
-            .replace(/[""]/g, '"')
-            .replace(/['']/g, "'")
+            .replace(/[“”„]/g, '"')
+            .replace(/[‘’]/g, "'")
             .toLowerCase()
             .trim();
     }
 }
 
 // Export for use in other modules
-window.SRTParser = SRTParser;
+export { SRTParser };
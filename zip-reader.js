@@ -0,0 +1,112 @@
+/**
+ * ZIP Reader Module
+ * Reads files out of a ZIP archive (such as a .docx) in the browser or
+ * Node.js, using the platform's DecompressionStream for deflated entries
+ * (zlib on Node.js releases whose DecompressionStream cannot inflate them)
+ */
+
+class ZipReader {
+    /**
+     * @param {ArrayBuffer} buffer - The whole archive
+     */
+    constructor(buffer) {
+        this.view = new DataView(buffer);
+        this.bytes = new Uint8Array(buffer);
+        this.entries = this.readDirectory();
+    }
+
+    /**
+     * List the archive's files from its central directory
+     * @returns {Map} - File name → {method, compressedSize, offset}
+     */
+    readDirectory() {
+        const view = this.view;
+
+        // The end-of-directory record sits in the last 22 bytes plus an optional comment
+        let end = -1;
+        for (let i = view.byteLength - 22; i >= Math.max(0, view.byteLength - 22 - 0xFFFF); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('Not a ZIP archive');
+        }
+
+        const entries = new Map();
+        const decoder = new TextDecoder();
+        const count = view.getUint16(end + 10, true);
+        let position = view.getUint32(end + 16, true);
+
+        for (let k = 0; k < count; k++) {
+            if (view.getUint32(position, true) !== 0x02014b50) {
+                throw new Error('Damaged ZIP archive');
+            }
+
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+            const name = decoder.decode(this.bytes.subarray(position + 46, position + 46 + nameLength));
+
+            entries.set(name, {
+                method: view.getUint16(position + 10, true),
+                compressedSize: view.getUint32(position + 20, true),
+                offset: view.getUint32(position + 42, true)
+            });
+
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * @param {string} name - Path inside the archive
+     * @returns {boolean} - Whether the archive contains the file
+     */
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    /**
+     * Read a file from the archive as UTF-8 text
+     * @param {string} name - Path inside the archive
+     * @returns {Promise<string>} - File content
+     */
+    async readText(name) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`${name} not found in archive`);
+        }
+
+        // The local header repeats the name and may carry a different extra field
+        const start = entry.offset + 30 +
+            this.view.getUint16(entry.offset + 26, true) +
+            this.view.getUint16(entry.offset + 28, true);
+        const data = this.bytes.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === 0) {
+            return new TextDecoder().decode(data);
+        }
+        if (entry.method !== 8) {
+            throw new Error(`${name} uses an unsupported compression method`);
+        }
+
+        let inflater;
+        try {
+            inflater = new DecompressionStream('deflate-raw');
+        } catch (error) {
+            // Node.js before 20.12 has DecompressionStream, but without 'deflate-raw'
+            if (typeof process === 'undefined' || !process.versions || !process.versions.node) throw error;
+            const zlib = await import('node:zlib');
+            return new TextDecoder().decode(zlib.inflateRawSync(data));
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(inflater);
+        return new Response(stream).text();
+    }
+}
+
+// Export for use in other modules
+export { ZipReader };
@@ -0,0 +1,112 @@
+/**
+ * ZIP Writer Module
+ * Packs text files into a ZIP archive in the browser, so batch results can
+ * be downloaded as one file without leaving the machine
+ */
+
+// CRC-32 lookup table (polynomial 0xEDB88320)
+const CRC_TABLE = new Uint32Array(256).map((value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+class ZipWriter {
+    constructor() {
+        this.encoder = new TextEncoder();
+        this.entries = [];
+    }
+
+    /**
+     * Add a file to the archive (stored uncompressed)
+     * @param {string} name - Path inside the archive
+     * @param {string|Uint8Array} content - File content; strings are written as UTF-8
+     * @param {Date} date - Modification time (default: now)
+     */
+    addFile(name, content, date = new Date()) {
+        const data = typeof content === 'string' ? this.encoder.encode(content) : content;
+
+        this.entries.push({
+            name: this.encoder.encode(name),
+            data,
+            crc: this.crc32(data),
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        });
+    }
+
+    /**
+     * Build the archive
+     * @returns {Blob} - application/zip content
+     */
+    toBlob() {
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+
+        for (const entry of this.entries) {
+            const local = this.header(0x04034b50, entry, 30);
+            parts.push(local, entry.name, entry.data);
+
+            const central = this.header(0x02014b50, entry, 46);
+            central.setUint32(42, offset, true);
+            directory.push(central, entry.name);
+
+            offset += 30 + entry.name.length + entry.data.length;
+        }
+
+        const directorySize = directory.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+    }
+
+    /**
+     * Write the fields local file headers and central directory entries share
+     * @param {number} signature - Record signature
+     * @param {Object} entry - Entry from addFile
+     * @param {number} size - Record size without the file name
+     * @returns {DataView} - The record
+     */
+    header(signature, entry, size) {
+        const view = new DataView(new ArrayBuffer(size));
+        const central = signature === 0x02014b50;
+        const at = central ? 2 : 0; // Central entries have an extra "version made by" field
+
+        view.setUint32(0, signature, true);
+        if (central) view.setUint16(4, 20, true);
+        view.setUint16(4 + at, 20, true); // Version needed to extract
+        view.setUint16(6 + at, 0x0800, true); // File names are UTF-8
+        view.setUint16(8 + at, 0, true); // Stored, no compression
+        view.setUint16(10 + at, entry.time, true);
+        view.setUint16(12 + at, entry.date, true);
+        view.setUint32(14 + at, entry.crc, true);
+        view.setUint32(18 + at, entry.data.length, true);
+        view.setUint32(22 + at, entry.data.length, true);
+        view.setUint16(26 + at, entry.name.length, true);
+
+        return view;
+    }
+
+    /**
+     * @param {Uint8Array} data - Bytes to check
+     * @returns {number} - CRC-32 of the bytes
+     */
+    crc32(data) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// Export for use in other modules
+export { ZipWriter };